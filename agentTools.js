@@ -0,0 +1,90 @@
+// Tools the model can call while answering. Each tool has an OpenAI function schema and an
+// execute(args, context) function; context carries the PriceAPI, the agent and the chunks
+// retrieved so far, so tests can swap any of them for mocks.
+
+const { truncateToTokens } = require('./tokenizer');
+
+const agentTools = [
+  {
+    name: 'get_pepu_price',
+    description: 'Get the live PEPU token price in USD, 24h price change, 24h volume, liquidity and market cap from GeckoTerminal.',
+    parameters: { type: 'object', properties: {} },
+    live: true,
+    async execute(args, context) {
+      return context.priceAPI.getPEPUPrice();
+    }
+  },
+  {
+    name: 'get_trending_tokens',
+    description: 'Get currently trending tokens (by trading activity) with price, 24h change, volume and liquidity.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'How many tokens to return (1-20)', minimum: 1, maximum: 20 }
+      }
+    },
+    live: true,
+    async execute(args, context) {
+      return context.priceAPI.getTrendingTokens('eth', clampLimit(args.limit));
+    }
+  },
+  {
+    name: 'get_top_tokens',
+    description: 'Get the top tokens by liquidity with price, 24h change, volume and liquidity.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'How many tokens to return (1-20)', minimum: 1, maximum: 20 }
+      }
+    },
+    live: true,
+    async execute(args, context) {
+      return context.priceAPI.getTopTokens('eth', clampLimit(args.limit));
+    }
+  },
+  {
+    name: 'search_knowledge_base',
+    description: 'Search the Pepe Unchained documentation and website content. Results are numbered sources that can be cited as [n].',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to search for' }
+      },
+      required: ['query']
+    },
+    live: false,
+    async execute(args, context) {
+      const chunks = await context.agent.findRelevantChunks(args.query || '', 3, { minRelevance: context.minRelevance });
+      context.chunks.push(...chunks);
+      return chunks.map(chunk => ({
+        source: context.citationNumber(chunk),
+        title: chunk.title,
+        section: chunk.headingPath,
+        url: chunk.filePath || chunk.url,
+        content: truncateToTokens(chunk.content, 300)
+      }));
+    }
+  }
+];
+
+function clampLimit(limit) {
+  const value = parseInt(limit, 10) || 5;
+  return Math.min(Math.max(value, 1), 20);
+}
+
+// Schema in the shape the chat completions API expects
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+module.exports = {
+  agentTools,
+  toOpenAITools
+};
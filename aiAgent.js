@@ -1,16 +1,55 @@
-const { OpenAI } = require('openai');
 const DataProcessor = require('./dataProcessor');
-const fs = require('fs').promises;
+const { EmbeddingIndex, createEmbeddingProvider, cosineSimilarity, hashChunks } = require('./embeddings');
+const { BM25Index } = require('./bm25');
+const { reciprocalRankFusion, HeuristicReranker } = require('./retrieval');
+const { createLLMProvider, loadLLMConfig } = require('./llmProviders');
+const AnswerCache = require('./answerCache');
+const ManualFactsStore = require('./manualFacts');
+const UsageTracker = require('./usageTracker');
+const PriceAPI = require('./priceApi');
+const { agentTools, toOpenAITools } = require('./agentTools');
+const { buildCitations, citationNumberFor, formatCitationsPlain } = require('./citations');
+const { countTokens, truncateToTokens } = require('./tokenizer');
+const crypto = require('crypto');
 const path = require('path');
 
 class AIAgent {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('OpenAI API key is required. Set OPENAI_API_KEY in .env file');
-    }
-    this.openai = new OpenAI({ apiKey });
+  constructor(apiKey, options = {}) {
+    // Chat provider comes from LLM_* settings in .env unless one is passed in (e.g. a MockProvider in tests)
+    this.llm = options.llmProvider || createLLMProvider(loadLLMConfig(process.env, { apiKey }));
     this.dataProcessor = new DataProcessor();
     this.dataDir = path.join(__dirname, 'data');
+    // Embedding provider is pluggable so tests can use the deterministic local embedder
+    this.embeddingProvider = options.embeddingProvider || createEmbeddingProvider({ apiKey });
+    this.embeddingIndex = new EmbeddingIndex(path.join(this.dataDir, 'embeddings.json'));
+    // Chunks are searched in the knowledge store's full-text index; the manual facts, which live
+    // outside it, get an in-memory BM25 index that is rebuilt when they change
+    this.factsIndex = null;
+    this.factsSourceHash = null;
+    // Hand-maintained facts, searched together with the processed chunks
+    this.factsStore = options.factsStore || new ManualFactsStore({
+      factsFile: path.join(this.dataDir, 'manual_facts.json')
+    });
+    // Fact embeddings by provider, model and text; facts aren't in the embedding index, which only changes on reprocessing
+    this.factVectors = new Map();
+    this.staleIndexMtime = null;
+    this.reranker = options.reranker || new HeuristicReranker();
+    // Token usage and estimated cost per chat, user and day (data/usage.json)
+    this.usageTracker = options.usageTracker || new UsageTracker({
+      usageFile: path.join(this.dataDir, 'usage.json')
+    });
+    // Live market data and knowledge base search the model can call (LLM_TOOLS=false disables them)
+    this.tools = options.tools || (process.env.LLM_TOOLS === 'false' ? [] : agentTools);
+    this.priceAPI = options.priceAPI || new PriceAPI();
+    this.maxToolRounds = options.maxToolRounds || 3;
+    // Tokens of retrieved context sent with each question
+    this.contextTokens = options.contextTokens || parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 1000;
+    // Answers to repeated questions are served from cache (pass cache: false to disable)
+    this.answerCache = options.cache === false ? null : (options.answerCache || new AnswerCache({
+      embeddingProvider: this.embeddingProvider,
+      ttlMs: parseFloat(process.env.ANSWER_CACHE_TTL_MINUTES || 360) * 60 * 1000,
+      similarityThreshold: parseFloat(process.env.ANSWER_CACHE_SIMILARITY || 0.92)
+    }));
   }
 
   async loadKnowledgeBase() {
@@ -23,7 +62,7 @@ class AIAgent {
     // Create a knowledge base string from all chunks
     let knowledgeBase = 'KNOWLEDGE BASE:\n\n';
     
-    for (const chunk of processedData) {
+    for (const chunk of [...await this.factsStore.getChunks(), ...processedData]) {
       knowledgeBase += `[Source: ${chunk.url}]\n`;
       knowledgeBase += `${chunk.content}\n\n`;
       knowledgeBase += '---\n\n';
@@ -46,7 +85,7 @@ Answer:`;
 
   async query(query, options = {}) {
     const {
-      model = 'gpt-4',
+      model = this.llm.model,
       temperature = 0.7,
       maxTokens = 1000
     } = options;
@@ -61,8 +100,8 @@ Answer:`;
       // Create contextual prompt
       const prompt = await this.createContextualPrompt(query, knowledgeBase);
 
-      // Call OpenAI API
-      const response = await this.openai.chat.completions.create({
+      // Call the LLM provider
+      const response = await this.llm.chat({
         model,
         messages: [
           {
@@ -75,10 +114,11 @@ Answer:`;
           }
         ],
         temperature,
-        max_tokens: maxTokens
+        maxTokens
       });
 
-      const answer = response.choices[0].message.content;
+      const answer = response.content;
+      await this.usageTracker.record(response.model, response.usage, options.usageContext);
       
       console.log('Answer:');
       console.log('='.repeat(60));
@@ -88,7 +128,7 @@ Answer:`;
       return {
         query,
         answer,
-        model,
+        model: response.model,
         tokens: response.usage
       };
 
@@ -99,156 +139,445 @@ Answer:`;
   }
 
   async createEmbeddings() {
-    // This can be used to create embeddings for semantic search
-    // For now, we'll use the basic approach
-    console.log('Note: For advanced semantic search, consider implementing embeddings.');
+    // Build the semantic index from the processed chunks (run after processing)
+    const processedData = await this.dataProcessor.loadProcessedData();
+
+    if (processedData.length === 0) {
+      throw new Error('No processed data found. Please run scraper and processor first.');
+    }
+
+    return this.embeddingIndex.build(processedData, this.embeddingProvider);
+  }
+
+  // Called after the knowledge store and embeddings.json were replaced while running
+  reloadKnowledgeBase() {
+    this.embeddingIndex.data = null;
+  }
+
+  // Processed chunks and manual facts, plus a version that changes when either does
+  async getKnowledgeBaseVersion() {
+    const processedVersion = await this.dataProcessor.getProcessedDataVersion();
+    await this.factsStore.load();
+    return `${processedVersion}:${this.factsStore.version}`;
   }
 
-  async findRelevantChunks(query, topK = 5) {
-    // Simple keyword-based relevance (can be improved with embeddings)
-    // NOTE: This ONLY reads from processed_content.json - NO web scraping happens here!
+  async findRelevantChunks(query, topK = 5, options = {}) {
+    // NOTE: This ONLY reads from the knowledge store and manual_facts.json - NO web scraping happens here!
     // All data was already scraped and saved during the scraping phase.
     const processedData = await this.dataProcessor.loadProcessedData();
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2); // Filter out short words
+    const facts = await this.factsStore.getChunks();
+    const {
+      candidates = Math.max(topK * 5, 20),  // How many chunks each retriever contributes
+      rerankSize = Math.max(topK * 3, 10),  // How many fused chunks get reranked
+      minRelevance = 0  // Chunks below this rerank score are dropped
+    } = options;
 
-    const scoredChunks = processedData.map(chunk => {
-      const contentLower = chunk.content.toLowerCase();
-      const titleLower = (chunk.title || '').toLowerCase();
-      let score = 0;
+    // Lexical, fact and semantic candidates, fused by rank so their score scales don't matter
+    const lists = {
+      lexical: await this.findLexicalChunks(query, candidates),
+      facts: this.findFactChunks(query, facts, candidates)
+    };
+    const semanticChunks = await this.findSemanticChunks(query, processedData, candidates, facts);
+    if (semanticChunks) {
+      lists.semantic = semanticChunks;
+    }
 
-      // Boost score for manual entries (they have important info)
-      if (chunk.source === 'manual') {
-        score += 10;
-      }
+    const shortlist = reciprocalRankFusion(lists).slice(0, rerankSize);
+    const reranked = await this.reranker.rerank(query, shortlist, {
+      semanticAvailable: Boolean(semanticChunks)
+    });
 
-      // Check title matches (higher weight)
-      for (const word of queryWords) {
-        if (titleLower.includes(word)) {
-          score += 5;
-        }
-      }
+    return reranked
+      .filter(chunk => chunk.scores.rerank > 0 && chunk.scores.rerank >= minRelevance)
+      .sort((a, b) => b.scores.rerank - a.scores.rerank)
+      .slice(0, topK)
+      .map(chunk => ({ ...chunk, score: chunk.scores.rerank }));
+  }
+
+  async findSemanticChunks(query, processedData, topK = 5, facts = []) {
+    await this.embeddingIndex.reloadIfChanged();
 
-      // Check content matches
-      for (const word of queryWords) {
-        const matches = (contentLower.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
-        score += matches;
+    if (!this.embeddingIndex.isCompatible(processedData, this.embeddingProvider)) {
+      // Logged once per index file, not on every question
+      if (this.embeddingIndex.data && this.staleIndexMtime !== this.embeddingIndex.loadedMtime) {
+        this.staleIndexMtime = this.embeddingIndex.loadedMtime;
+        console.log('Embedding index is out of date, using lexical search only. Run: node index.js process');
       }
+      return null;
+    }
 
-      // Exact phrase match bonus
-      if (contentLower.includes(queryLower)) {
-        score += 20;
+    try {
+      const [queryVector] = await this.embeddingProvider.embed([query]);
+      const factVectors = await this.embedFacts(facts);
+      const factMatches = facts.map((fact, index) => ({ ...fact, score: cosineSimilarity(queryVector, factVectors[index]) }));
+      return [...factMatches, ...this.embeddingIndex.search(queryVector, processedData, topK)]
+        .filter(chunk => chunk.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    } catch (error) {
+      console.error('Error embedding query, using lexical search only:', error.message);
+      return null;
+    }
+  }
+
+  // Only facts that are new or were edited since the last query are sent to the provider
+  async embedFacts(facts) {
+    const keyFor = fact => crypto.createHash('sha256')
+      .update(`${this.embeddingProvider.name}\u0000${this.embeddingProvider.model}\u0000${fact.title}\u0000${fact.content}`)
+      .digest('hex');
+    const missing = facts.filter(fact => !this.factVectors.has(keyFor(fact)));
+
+    if (missing.length > 0) {
+      const vectors = await this.embeddingProvider.embed(missing.map(fact => `${fact.title}\n${fact.content}`));
+      missing.forEach((fact, index) => this.factVectors.set(keyFor(fact), vectors[index]));
+    }
+
+    return facts.map(fact => this.factVectors.get(keyFor(fact)));
+  }
+
+  // Full-text search in the knowledge store
+  async findLexicalChunks(query, topK = 5) {
+    try {
+      return await this.dataProcessor.searchChunks(query, topK);
+    } catch (error) {
+      console.error('Error searching the knowledge store:', error.message);
+      return [];
+    }
+  }
+
+  findFactChunks(query, facts, topK = 5) {
+    const sourceHash = hashChunks(facts);
+
+    if (!this.factsIndex || this.factsSourceHash !== sourceHash) {
+      this.factsIndex = new BM25Index().build(facts);
+      this.factsSourceHash = sourceHash;
+    }
+
+    return this.factsIndex.search(query, topK);
+  }
+
+  async condenseQuery(query, history = [], usageContext = {}) {
+    // Rewrite a follow-up ("and what are the fees for that?") into a standalone question
+    // so retrieval doesn't lose the referent. Nothing to do without history.
+    if (history.length === 0) {
+      return query;
+    }
+
+    const transcript = history
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+
+    try {
+      const response = await this.llm.chat({
+        messages: [
+          {
+            role: 'system',
+            content: 'Rewrite the follow-up question as a standalone question about Pepe Unchained, using the conversation to resolve references like "it" or "that". If it is already standalone, return it unchanged. Reply with the question only.'
+          },
+          {
+            role: 'user',
+            content: `Conversation:\n${transcript}\n\nFollow-up question: ${query}\n\nStandalone question:`
+          }
+        ],
+        temperature: 0,
+        maxTokens: 100
+      });
+
+      await this.usageTracker.record(response.model, response.usage, usageContext);
+
+      const condensed = (response.content || '').trim().replace(/^"(.*)"$/, '$1');
+      return condensed || query;
+    } catch (error) {
+      console.error('Error condensing query, using it as-is:', error.message);
+      return query;
+    }
+  }
+
+  get toolsEnabled() {
+    return this.tools.length > 0;
+  }
+
+  contextLabel(chunk, number) {
+    const section = chunk.headingPath ? ` › ${chunk.headingPath}` : '';
+    return `[${number}] ${chunk.title || ''}${section} (${chunk.filePath || chunk.url})`;
+  }
+
+  // Whole chunks in rank order, as long as they fit in the token budget together with their labels.
+  // A chunk that doesn't fit makes room for smaller ones further down; only when not even the best
+  // chunk fits is it cut, at a sentence boundary.
+  packContext(chunks, tokenBudget = this.contextTokens) {
+    const packed = [];
+    let used = 0;
+
+    for (const chunk of chunks) {
+      // Label line plus the blank line after the chunk
+      const overhead = countTokens(this.contextLabel(chunk, packed.length + 1)) + 2;
+      const tokens = chunk.tokenCount || countTokens(chunk.content);
+
+      if (used + overhead + tokens <= tokenBudget) {
+        packed.push(chunk);
+        used += overhead + tokens;
+      } else if (packed.length === 0 && tokenBudget - overhead > 0) {
+        const content = truncateToTokens(chunk.content, tokenBudget - overhead);
+        if (content) {
+          packed.push({ ...chunk, content, tokenCount: countTokens(content) });
+          used += overhead + countTokens(content);
+        }
       }
+    }
 
-      return { ...chunk, score };
+    return packed;
+  }
+
+  buildContextMessages(query, relevantChunks, history = [], citations = buildCitations(relevantChunks), options = {}) {
+    // Build context from relevant chunks (see packContext), labelled with their citation numbers
+    let context = '';
+    relevantChunks.forEach((chunk) => {
+      context += `${this.contextLabel(chunk, citationNumberFor(citations, chunk))}\n${chunk.content}\n\n`;
     });
 
-    return scoredChunks
-      .filter(chunk => chunk.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, topK);
+    if (!context) {
+      context = 'No matching information was found in the knowledge base.\n\n';
+    }
+
+    // More natural prompt format
+    const prompt = `Here's some information about Pepe Unchained, with numbered sources:\n\n${context}\n\nBased on this information, answer this question in a friendly, conversational way. Cite the sources you use with their numbers in square brackets, like [1]:\n\n${query}`;
+
+    const toolInstructions = options.toolsEnabled
+      ? `\n\nYou can call tools: use the live market data tools for anything about current prices, market cap, volume, liquidity or whether tokens are pumping, and search the knowledge base if the information above isn't enough. If neither the knowledge base nor the tools cover the question, say it's not in the knowledge base.`
+      : '';
+
+    // Pinned manual facts (see manualFacts.js) are part of every prompt
+    const pinnedFacts = options.pinnedFacts || [];
+    const coreKnowledge = pinnedFacts.length > 0
+      ? `\n\nIMPORTANT DEFAULT KNOWLEDGE ABOUT PEPE UNCHAINED:\n${pinnedFacts.map(fact => `- ${fact}`).join('\n')}\n\nAlways remember these core facts about Pepe Unchained when answering questions.`
+      : '';
+
+    // More conversational system message with emphasis on brevity
+    return [
+      {
+        role: 'system',
+        content: `You are a friendly and helpful assistant for Pepe Unchained. Answer questions naturally and conversationally, as if you're explaining to a friend. 
+
+IMPORTANT: Keep your answers SHORT and CONCISE - maximum 2-3 sentences. Be direct and to the point. Users prefer brief, easy-to-read responses.
+
+Use the provided context to give accurate answers, citing sources inline as [1], [2]. Be warm, engaging, and avoid sounding robotic or overly formal.${coreKnowledge}${toolInstructions}`
+      },
+      // Earlier turns, so the answer can follow the conversation
+      ...history,
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
   }
 
   async queryWithRelevantContext(query, options = {}) {
     const {
-      model = 'gpt-3.5-turbo',  // Default to cheaper model
+      model = this.llm.model,  // Provider default (LLM_MODEL), gpt-3.5-turbo for OpenAI
       temperature = 0.7,
       maxTokens = 500,  // Reduced default to save on output tokens
-      topK = 2  // Reduced default to send less context
+      topK = 2,  // Reduced default to send less context
+      contextTokens = this.contextTokens,  // Token budget for the retrieved chunks in the prompt
+      minRelevance = 0.3,  // Below this, the knowledge base is considered not to cover the question
+      onToken = null,  // Called with each streamed piece of the answer
+      history = [],  // Previous { role, content } messages of this conversation
+      usageContext = {}  // { chatId, userId } the token usage is recorded against
     } = options;
 
     try {
       console.log(`\nQuery: ${query}`);
+
+      // Follow-ups are rewritten into standalone questions before retrieval
+      const standaloneQuery = await this.condenseQuery(query, history, usageContext);
+      if (standaloneQuery !== query) {
+        console.log(`Standalone query: ${standaloneQuery}`);
+      }
+
+      // Repeated questions are answered from cache, as long as the knowledge base and facts haven't changed
+      const kbVersion = await this.getKnowledgeBaseVersion();
+      if (this.answerCache) {
+        const cached = await this.answerCache.get(standaloneQuery, kbVersion);
+        if (cached) {
+          console.log(`Answer served from cache (${cached.cached} match)\n`);
+          if (onToken) {
+            await onToken(cached.answer);
+          }
+          return { ...cached, query };
+        }
+      }
+
       console.log('Finding relevant context...\n');
 
       // Find most relevant chunks
-      const relevantChunks = await this.findRelevantChunks(query, topK);
+      const relevantChunks = await this.findRelevantChunks(standaloneQuery, topK, { minRelevance });
+      const retrieval = relevantChunks.map(chunk => ({
+        url: chunk.url,
+        title: chunk.title,
+        headingPath: chunk.headingPath,
+        factId: chunk.factId,
+        scores: chunk.scores
+      }));
       
-      if (relevantChunks.length === 0) {
+      // With tools the model may still answer from live data, so only bail out without them
+      if (relevantChunks.length === 0 && !this.toolsEnabled) {
         return {
           query,
-          answer: "I couldn't find relevant information in the knowledge base to answer this question.",
+          answer: "That doesn't seem to be covered in the knowledge base, so I can't answer it reliably.",
+          standaloneQuery,
           model,
-          sources: []
+          sources: [],
+          citations: [],
+          retrieval
         };
       }
 
-      // Build context from relevant chunks
-      // Aggressively limit chunk size to minimize token usage
-      let context = '';
-      relevantChunks.forEach((chunk, index) => {
-        // Limit each chunk to 800 chars to save tokens (reduced from 1500)
-        const chunkContent = chunk.content.length > 800 
-          ? chunk.content.substring(0, 800) + '...' 
-          : chunk.content;
-        context += `[${chunk.url}]\n${chunkContent}\n\n`;
-      });
-
-      // More natural prompt format
-      const prompt = `Here's some information about Pepe Unchained:\n\n${context}\n\nBased on this information, answer this question in a friendly, conversational way:\n\n${query}`;
-
-      // Default knowledge about Pepe Unchained (comprehensive)
-      const defaultKnowledge = `IMPORTANT DEFAULT KNOWLEDGE ABOUT PEPE UNCHAINED:
-- Pepe Unchained is an EVM (Ethereum Virtual Machine) compatible Layer 2 (L2) blockchain
-- It has very low transaction fees compared to Ethereum mainnet
-- It has fast transaction speeds
-- PEPU is the native token of the Pepe Unchained network
-- The network is designed for scalability and cost efficiency
-- Block Explorer: PepuScan (pepuscan.com) - use it to view transactions, blocks, addresses, and smart contracts on Pepe Unchained
-- DEX: Customized Layer 2 DEX similar to Uniswap for trading on Pepe Unchained
-- Bridge: Users can bridge assets to/from Ethereum mainnet to Pepe Unchained
-- Staking: PEPU tokens can be staked for rewards
-- The network supports all standard Ethereum tools and wallets (MetaMask, etc.)`;
-
-      // More conversational system message with emphasis on brevity
-      const response = await this.openai.chat.completions.create({
+      // Chunks found by the knowledge base tool are appended, so citation numbers stay stable
+      const contextChunks = this.packContext(relevantChunks, contextTokens);
+      const chunks = [...contextChunks];
+      const request = {
         model,
-        messages: [
-          {
-            role: 'system',
-            content: `You are a friendly and helpful assistant for Pepe Unchained. Answer questions naturally and conversationally, as if you're explaining to a friend. 
-
-IMPORTANT: Keep your answers SHORT and CONCISE - maximum 2-3 sentences. Be direct and to the point. Users prefer brief, easy-to-read responses.
-
-Use the provided context to give accurate answers. Be warm, engaging, and avoid sounding robotic or overly formal.
-
-${defaultKnowledge}
-
-Always remember these core facts about Pepe Unchained when answering questions.`
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+        messages: this.buildContextMessages(standaloneQuery, contextChunks, history, buildCitations(chunks), {
+          toolsEnabled: this.toolsEnabled,
+          pinnedFacts: await this.factsStore.getPinnedTexts()
+        }),
         temperature,
-        max_tokens: maxTokens
+        maxTokens
+      };
+
+      const { response, toolCalls, usage } = await this.runChat(request, {
+        onToken,
+        usageContext,
+        toolContext: this.toolsEnabled ? this.createToolContext(chunks, minRelevance) : null
       });
 
-      const answer = response.choices[0].message.content;
-      const sources = relevantChunks.map(chunk => chunk.url);
+      const answer = response.content;
+      const citations = buildCitations(chunks);
+      const sources = citations.map(citation => citation.url);
 
       console.log('Answer:');
       console.log('='.repeat(60));
       console.log(answer);
       console.log('='.repeat(60));
       console.log('\nSources:');
-      sources.forEach((source, i) => console.log(`${i + 1}. ${source}`));
+      console.log(formatCitationsPlain(citations, answer));
       console.log('');
 
-      return {
+      const result = {
         query,
         answer,
-        model,
+        standaloneQuery,
+        model: response.model,
         sources,
-        tokens: response.usage
+        citations,
+        retrieval,
+        toolCalls,
+        tokens: usage
       };
 
+      // Answers built on live market data go stale, so they are never cached
+      if (this.answerCache && !toolCalls.some(call => call.live)) {
+        await this.answerCache.set(standaloneQuery, result, kbVersion);
+      }
+
+      return result;
+
     } catch (error) {
       console.error('Error querying AI:', error.message);
       throw error;
     }
   }
+
+  createToolContext(chunks, minRelevance) {
+    return {
+      agent: this,
+      priceAPI: this.priceAPI,
+      chunks,
+      minRelevance,
+      citationNumber: (chunk) => citationNumberFor(buildCitations(chunks), chunk)
+    };
+  }
+
+  // Calls the model, running any tools it asks for and feeding the results back,
+  // until it answers (the last round withholds the tools so it has to)
+  async runChat(request, { onToken = null, usageContext = {}, toolContext = null } = {}) {
+    const messages = [...request.messages];
+    const toolCalls = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    for (let round = 0; ; round++) {
+      const offerTools = toolContext && round < this.maxToolRounds;
+      const roundRequest = {
+        ...request,
+        messages,
+        tools: offerTools ? toOpenAITools(this.tools) : undefined
+      };
+
+      // Stream tokens to the caller when a callback is given
+      const response = onToken
+        ? await this.llm.stream(roundRequest, onToken)
+        : await this.llm.chat(roundRequest);
+
+      await this.usageTracker.record(response.model, response.usage, usageContext);
+      if (response.usage) {
+        usage.prompt_tokens += response.usage.prompt_tokens || 0;
+        usage.completion_tokens += response.usage.completion_tokens || 0;
+        usage.total_tokens += response.usage.total_tokens || 0;
+      }
+
+      if (!offerTools || !response.toolCalls || response.toolCalls.length === 0) {
+        return { response, toolCalls, usage };
+      }
+
+      messages.push({
+        role: 'assistant',
+        content: response.content || null,
+        tool_calls: response.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      });
+
+      for (const call of response.toolCalls) {
+        const { result, log } = await this.executeToolCall(call, toolContext);
+        toolCalls.push(log);
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(result)
+        });
+      }
+    }
+  }
+
+  async executeToolCall(call, toolContext) {
+    const tool = this.tools.find(t => t.name === call.name);
+    const startedAt = Date.now();
+    const log = { name: call.name, arguments: call.arguments, live: Boolean(tool && tool.live) };
+
+    let result;
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool: ${call.name}`);
+      }
+      const args = call.arguments ? JSON.parse(call.arguments) : {};
+      result = await tool.execute(args, toolContext);
+    } catch (error) {
+      // The error goes back to the model, which can retry or answer without the tool
+      log.error = error.message;
+      result = { error: error.message };
+    }
+
+    log.durationMs = Date.now() - startedAt;
+    console.log(`[Tool] ${call.name}(${call.arguments || ''}) ${log.error ? `failed: ${log.error}` : 'ok'} in ${log.durationMs}ms`);
+
+    return { result, log };
+  }
+
+  async streamQueryWithRelevantContext(query, onToken, options = {}) {
+    return this.queryWithRelevantContext(query, { ...options, onToken });
+  }
 }
 
 module.exports = AIAgent;
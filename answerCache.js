@@ -0,0 +1,140 @@
+const { cosineSimilarity } = require('./embeddings');
+
+// Caches answers by normalized question, and by embedding similarity for near-duplicate phrasings.
+// Entries expire after a TTL and are all dropped when the knowledge base version changes.
+class AnswerCache {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 6 * 60 * 60 * 1000;
+    this.similarityThreshold = options.similarityThreshold || 0.92;
+    this.maxEntries = options.maxEntries || 500;
+    this.embeddingProvider = options.embeddingProvider || null;
+    this.entries = new Map();  // normalized question -> { result, vector, createdAt }
+    // Embeddings of questions that missed, reused by set() so a miss costs one embedding call
+    this.missVectors = new Map();  // normalized question -> vector
+    this.version = null;
+    this.stats = { hits: 0, exactHits: 0, semanticHits: 0, misses: 0 };
+  }
+
+  normalize(question) {
+    return (question || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s$]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Drops everything cached against an older knowledge base
+  syncVersion(version) {
+    if (version !== this.version) {
+      if (this.entries.size > 0) {
+        console.log('[Cache] Knowledge base changed, clearing answer cache');
+      }
+      this.entries.clear();
+      this.version = version;
+    }
+  }
+
+  isExpired(entry) {
+    return Date.now() - entry.createdAt > this.ttlMs;
+  }
+
+  async embed(text) {
+    if (!this.embeddingProvider) {
+      return null;
+    }
+    try {
+      const [vector] = await this.embeddingProvider.embed([text]);
+      return vector;
+    } catch (error) {
+      console.error('[Cache] Error embedding question, using exact matching only:', error.message);
+      return null;
+    }
+  }
+
+  async get(question, version) {
+    this.syncVersion(version);
+    const key = this.normalize(question);
+
+    const exact = this.entries.get(key);
+    if (exact && !this.isExpired(exact)) {
+      this.stats.hits++;
+      this.stats.exactHits++;
+      return { ...exact.result, cached: 'exact' };
+    }
+
+    const vector = await this.embed(key);
+    if (vector) {
+      let best = null;
+      let bestScore = 0;
+
+      for (const entry of this.entries.values()) {
+        if (!entry.vector || this.isExpired(entry)) {
+          continue;
+        }
+        const score = cosineSimilarity(vector, entry.vector);
+        if (score > bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+
+      if (best && bestScore >= this.similarityThreshold) {
+        this.stats.hits++;
+        this.stats.semanticHits++;
+        return { ...best.result, cached: 'semantic', cacheSimilarity: bestScore };
+      }
+    }
+
+    if (vector) {
+      this.missVectors.delete(key);
+      this.missVectors.set(key, vector);
+      // Misses that never get answered (errors) shouldn't pile up
+      while (this.missVectors.size > this.maxEntries) {
+        this.missVectors.delete(this.missVectors.keys().next().value);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(question, result, version) {
+    this.syncVersion(version);
+    const key = this.normalize(question);
+
+    // Evict expired entries first, then the oldest ones
+    for (const [entryKey, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(entryKey);
+      }
+    }
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    const vector = this.missVectors.get(key) || await this.embed(key);
+    this.missVectors.delete(key);
+
+    this.entries.set(key, {
+      result,
+      vector,
+      createdAt: Date.now()
+    });
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.missVectors.clear();
+  }
+}
+
+module.exports = AnswerCache;
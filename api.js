@@ -1,6 +1,9 @@
 require('dotenv').config();
 const express = require('express');
+const TelegramBot = require('node-telegram-bot-api');
 const PriceAPI = require('./priceApi');
+const KnowledgeRefresher = require('./knowledgeRefresher');
+const { formatRefreshResult } = require('./knowledgeRefresher');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,6 +18,27 @@ app.use((req, res, next) => {
 
 const priceAPI = new PriceAPI();
 
+// Optional scheduled scrape + process (KB_REFRESH_INTERVAL_MINUTES); results are sent to the
+// Telegram admins when a bot token is configured
+const refresher = new KnowledgeRefresher();
+refresher.on('refresh', async (result) => {
+  const adminIds = (process.env.TELEGRAM_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (!process.env.TELEGRAM_BOT_TOKEN || adminIds.length === 0) {
+    return;
+  }
+
+  // Send-only client: polling stays with the bot process
+  const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
+  for (const adminId of adminIds) {
+    try {
+      await bot.sendMessage(adminId, formatRefreshResult(result));
+    } catch (error) {
+      console.error(`Error notifying admin ${adminId}:`, error.message);
+    }
+  }
+});
+refresher.start();
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -30,7 +54,7 @@ app.get('/', (req, res) => {
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), lastRefresh: refresher.lastResult });
 });
 
 // Get PEPU price and market cap
@@ -0,0 +1,218 @@
+// BM25 lexical ranking over processed chunks
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during',
+  'each', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers',
+  'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or',
+  'other', 'our', 'ours', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+  'tell', 'please', 'know', 'get'
+]);
+
+// Porter stemmer (M.F. Porter, 1980)
+const step2Suffixes = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const step3Suffixes = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonantSeq = `${consonant}[^aeiouy]*`;
+const vowelSeq = `${vowel}[aeiou]*`;
+
+const mGreaterThan0 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}`);
+const mEquals1 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}(${vowelSeq})?$`);
+const mGreaterThan1 = new RegExp(`^(${consonantSeq})?${vowelSeq}${consonantSeq}${vowelSeq}${consonantSeq}`);
+const hasVowel = new RegExp(`^(${consonantSeq})?${vowel}`);
+const endsCvc = new RegExp(`^${consonantSeq}${vowel}[^aeiouwxy]$`);
+
+function stem(word) {
+  if (word.length < 3) {
+    return word;
+  }
+
+  let w = word;
+  let match;
+
+  const firstChar = w[0];
+  if (firstChar === 'y') {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (mGreaterThan0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const stemPart = match[1];
+    if (hasVowel.test(stemPart)) {
+      w = stemPart;
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (endsCvc.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (mGreaterThan0.test(match[1])) {
+      w = match[1] + step2Suffixes[match[2]];
+    }
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (mGreaterThan0.test(match[1])) {
+      w = match[1] + step3Suffixes[match[2]];
+    }
+  }
+
+  // Step 4
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (mGreaterThan1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (mGreaterThan1.test(match[1] + match[2])) {
+      w = match[1] + match[2];
+    }
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stemPart = match[1];
+    if (mGreaterThan1.test(stemPart) || (mEquals1.test(stemPart) && !endsCvc.test(stemPart))) {
+      w = stemPart;
+    }
+  }
+  if (/ll$/.test(w) && mGreaterThan1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (firstChar === 'y') {
+    w = 'y' + w.slice(1);
+  }
+
+  return w;
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+class BM25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b !== undefined ? options.b : 0.75;
+    // Title terms are counted this many times, so title matches weigh more than body matches
+    this.titleWeight = options.titleWeight || 2;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+  }
+
+  build(chunks) {
+    this.documents = chunks.map(chunk => {
+      const terms = tokenize(chunk.content);
+      // The section's heading path counts as part of the title
+      const titleTerms = tokenize(`${chunk.title || ''} ${chunk.headingPath || ''}`);
+      for (let i = 0; i < this.titleWeight; i++) {
+        terms.push(...titleTerms);
+      }
+
+      const termFrequency = new Map();
+      for (const term of terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+
+      return { chunk, length: terms.length, termFrequency };
+    });
+
+    this.documentFrequency = new Map();
+    for (const document of this.documents) {
+      for (const term of document.termFrequency.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const totalLength = this.documents.reduce((sum, document) => sum + document.length, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+
+    return this;
+  }
+
+  idf(term) {
+    const n = this.documentFrequency.get(term) || 0;
+    // BM25+ style idf that never goes negative for very common terms
+    return Math.log(1 + (this.documents.length - n + 0.5) / (n + 0.5));
+  }
+
+  scoreDocument(document, queryTerms) {
+    let score = 0;
+
+    for (const term of queryTerms) {
+      const tf = document.termFrequency.get(term);
+      if (!tf) {
+        continue;
+      }
+
+      const lengthNorm = 1 - this.b + this.b * (document.length / (this.averageLength || 1));
+      score += this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+    }
+
+    return score;
+  }
+
+  search(query, topK = 5) {
+    // Repeated query words should not count twice
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    return this.documents
+      .map(document => ({ ...document.chunk, score: this.scoreDocument(document, queryTerms) }))
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+module.exports = {
+  BM25Index,
+  tokenize,
+  stem,
+  STOPWORDS
+};
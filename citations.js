@@ -0,0 +1,95 @@
+// Numbered citations tying [1], [2] markers in answers to the retrieved chunks
+
+// One citation per distinct URL, numbered in retrieval order
+function buildCitations(chunks) {
+  const citations = [];
+  const byUrl = new Map();
+
+  for (const chunk of chunks) {
+    if (!byUrl.has(chunk.url)) {
+      const citation = {
+        number: citations.length + 1,
+        url: chunk.url,
+        title: citationTitle(chunk),
+        filePath: chunk.filePath || null,
+        section: chunk.headingPath || null
+      };
+      byUrl.set(chunk.url, citation);
+      citations.push(citation);
+    }
+  }
+
+  return citations;
+}
+
+function citationNumberFor(citations, chunk) {
+  const citation = citations.find(c => c.url === chunk.url);
+  return citation ? citation.number : null;
+}
+
+// Page titles usually carry a " | Site Name" suffix that only adds noise in a footer
+function cleanTitle(title) {
+  return (title || '').split(' | ')[0].trim();
+}
+
+// Adds the innermost heading of the chunk's section, e.g. "How to Bridge › Fees",
+// unless it just repeats the page title
+function citationTitle(chunk) {
+  const title = cleanTitle(chunk.title);
+  const heading = (chunk.headingPath || '').split(' > ').pop().trim();
+
+  if (!title) {
+    return heading || chunk.url;
+  }
+  return heading && heading.toLowerCase() !== title.toLowerCase() ? `${title} › ${heading}` : title;
+}
+
+// Numbers the answer actually refers to, e.g. "[1]" or "[1, 2]"
+function extractCitedNumbers(answer) {
+  const numbers = new Set();
+  const markers = (answer || '').match(/\[(\d+(?:\s*,\s*\d+)*)\]/g) || [];
+
+  for (const marker of markers) {
+    marker.slice(1, -1).split(',').forEach(n => numbers.add(parseInt(n, 10)));
+  }
+
+  return numbers;
+}
+
+// Cited sources only; when the model didn't cite anything, all of them
+function selectCited(citations, answer) {
+  const cited = extractCitedNumbers(answer);
+  const selected = citations.filter(citation => cited.has(citation.number));
+  return selected.length > 0 ? selected : citations;
+}
+
+// Plain text footer for the CLI
+function formatCitationsPlain(citations, answer) {
+  return selectCited(citations, answer)
+    .map(citation => `[${citation.number}] ${citation.title} - ${citation.filePath || citation.url}`)
+    .join('\n');
+}
+
+// Compact Telegram footer with clickable titles (legacy Markdown parse mode)
+function formatCitationsMarkdown(citations, answer) {
+  const links = selectCited(citations, answer).map(citation => {
+    // Characters that would break a Markdown link or open an entity are dropped from the label
+    const label = citation.title.replace(/[[\]()*_`]/g, '');
+    // Ingested files have no public URL to link to
+    if (!/^https?:/.test(citation.url)) {
+      return `[${citation.number}] ${label}`;
+    }
+    const url = citation.url.replace(/\)/g, '%29');
+    return `[${citation.number}] [${label}](${url})`;
+  });
+
+  return links.length > 0 ? `📚 ${links.join(' · ')}` : '';
+}
+
+module.exports = {
+  buildCitations,
+  citationNumberFor,
+  extractCitedNumbers,
+  formatCitationsPlain,
+  formatCitationsMarkdown
+};
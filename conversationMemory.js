@@ -0,0 +1,62 @@
+const { countTokens } = require('./tokenizer');
+
+// Per-chat message history, handed to the model as a token-budgeted window of recent turns
+
+// Counted with the model's tokenizer (see tokenizer.js)
+function estimateTokens(text) {
+  return countTokens(text || '');
+}
+
+class ConversationMemory {
+  constructor(options = {}) {
+    this.maxMessages = options.maxMessages || 20;  // Older messages are dropped from storage
+    this.tokenBudget = options.tokenBudget || 800;  // Default size of the window sent to the model
+    this.histories = new Map();
+  }
+
+  add(chatId, role, content) {
+    const history = this.histories.get(chatId) || [];
+    history.push({ role, content });
+
+    if (history.length > this.maxMessages) {
+      history.splice(0, history.length - this.maxMessages);
+    }
+
+    this.histories.set(chatId, history);
+  }
+
+  addTurn(chatId, question, answer) {
+    this.add(chatId, 'user', question);
+    this.add(chatId, 'assistant', answer);
+  }
+
+  // Most recent messages that fit in the budget, oldest first
+  getWindow(chatId, tokenBudget = this.tokenBudget) {
+    const history = this.histories.get(chatId) || [];
+    const window = [];
+    let used = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = estimateTokens(history[i].content);
+      if (used + tokens > tokenBudget) {
+        break;
+      }
+      used += tokens;
+      window.unshift(history[i]);
+    }
+
+    // Don't start the window with a dangling assistant reply
+    while (window.length > 0 && window[0].role !== 'user') {
+      window.shift();
+    }
+
+    return window;
+  }
+
+  clear(chatId) {
+    this.histories.delete(chatId);
+  }
+}
+
+module.exports = ConversationMemory;
+module.exports.estimateTokens = estimateTokens;
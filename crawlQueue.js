@@ -0,0 +1,124 @@
+// Crawl queue with per-host concurrency and request spacing. Each URL is queued once;
+// the handler runs for each one and may add more URLs while the crawl is running.
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff, honouring a Retry-After header (seconds or HTTP date) when the server sends one
+function retryDelay(attempt, retryAfter, baseDelayMs = 1000) {
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return baseDelayMs * Math.pow(2, attempt);
+}
+
+class CrawlQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;  // Parallel requests per host
+    this.maxConcurrency = options.maxConcurrency || 8;  // Parallel requests overall
+    this.minIntervalMs = options.minIntervalMs !== undefined ? options.minIntervalMs : 1000;  // Between request starts per host
+    this.pending = [];
+    this.seen = new Set();
+    this.inFlight = new Set();
+    this.hosts = new Map();
+  }
+
+  // Returns false when the URL was already queued or crawled
+  add(url) {
+    if (this.seen.has(url)) {
+      return false;
+    }
+    this.seen.add(url);
+    this.pending.push(url);
+    return true;
+  }
+
+  // Restores a crawl: done URLs are never queued again, pending ones are queued in order
+  restore(done, pending) {
+    done.forEach(url => this.seen.add(url));
+    pending.forEach(url => this.add(url));
+  }
+
+  hostState(url) {
+    const host = new URL(url).host;
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStartAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  // First pending URL whose host has a free slot now, or how long until one opens up
+  nextReady(now) {
+    let waitMs = Infinity;
+
+    for (let i = 0; i < this.pending.length; i++) {
+      const host = this.hostState(this.pending[i]);
+      if (host.active >= this.concurrency) {
+        continue;
+      }
+      if (host.nextStartAt <= now) {
+        return { index: i, waitMs: 0 };
+      }
+      waitMs = Math.min(waitMs, host.nextStartAt - now);
+    }
+
+    return { index: -1, waitMs };
+  }
+
+  // canStart() is checked before each new request, e.g. to stop at a page limit
+  async run(handler, options = {}) {
+    const { canStart = () => true } = options;
+    const running = new Set();
+
+    while (true) {
+      if (!canStart() || this.pending.length === 0) {
+        if (running.size === 0) {
+          break;
+        }
+        await Promise.race(running);
+        continue;
+      }
+
+      const now = Date.now();
+      const { index, waitMs } = this.nextReady(now);
+
+      if (index !== -1 && running.size < this.maxConcurrency) {
+        const [url] = this.pending.splice(index, 1);
+        const host = this.hostState(url);
+        host.active++;
+        host.nextStartAt = now + this.minIntervalMs;
+        this.inFlight.add(url);
+
+        const task = Promise.resolve()
+          .then(() => handler(url))
+          .catch(error => console.error(`Error crawling ${url}:`, error.message))
+          .finally(() => {
+            host.active--;
+            this.inFlight.delete(url);
+            running.delete(task);
+          });
+        running.add(task);
+        continue;
+      }
+
+      // Wait for a request to finish or for a host's spacing interval to pass
+      const waits = [...running];
+      if (index === -1 && Number.isFinite(waitMs)) {
+        waits.push(sleep(waitMs));
+      }
+      await Promise.race(waits);
+    }
+  }
+}
+
+module.exports = CrawlQueue;
+module.exports.retryDelay = retryDelay;
+module.exports.sleep = sleep;
@@ -1,172 +1,509 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const SourceRegistry = require('./sourceRegistry');
+const DocumentIngester = require('./documentIngester');
+const KnowledgeStore = require('./knowledgeStore');
+const { buildManifest } = require('./knowledgeSnapshots');
+const { dedupeChunks } = require('./nearDuplicates');
+const { countTokens, splitSentences, getEncodingName } = require('./tokenizer');
+const { cleanText, findRepeatedLines } = require('./textCleaner');
+
+// Bump when cleaning or chunking changes, so pages are rechunked even if their content didn't change
+const PROCESSOR_VERSION = 4;
 
 class DataProcessor {
   constructor() {
     this.dataDir = path.join(__dirname, 'data');
     this.inputFile = path.join(this.dataDir, 'scraped_content.json');
+    // The knowledge base lives in SQLite; processed_content.json is an export of it
+    this.store = new KnowledgeStore();
     this.outputFile = path.join(this.dataDir, 'processed_content.json');
+    this.registry = new SourceRegistry();
+    this.ingester = new DocumentIngester({ dataDir: this.dataDir });
+    // Estimated share of shared word 3-grams above which two chunks count as duplicates
+    this.duplicateThreshold = parseFloat(process.env.DUPLICATE_SIMILARITY) || 0.8;
+    // Chunk size and the overlap between consecutive chunks of a split section, in tokens
+    this.chunkTokens = parseInt(process.env.CHUNK_TOKENS) || 400;
+    this.overlapTokens = process.env.CHUNK_OVERLAP_TOKENS !== undefined ? parseInt(process.env.CHUNK_OVERLAP_TOKENS) : 50;
+  }
+
+  // Chunks made with other settings are rechunked, like chunks of an older processor version
+  get chunkingSettings() {
+    return `${getEncodingName()}:${this.chunkTokens}:${this.overlapTokens}`;
   }
 
-  async loadScrapedData() {
+  async loadScrapedData(file = this.inputFile) {
     try {
-      const data = await fs.readFile(this.inputFile, 'utf-8');
+      const data = await fs.readFile(file, 'utf-8');
       return JSON.parse(data);
     } catch (error) {
-      console.error('Error loading scraped data:', error.message);
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading scraped data:', error.message);
+      }
       return [];
     }
   }
 
-  cleanText(text) {
-    if (!text) return '';
-    
-    return text
-      .replace(/\s+/g, ' ')
-      .replace(/\n{3,}/g, '\n\n')
-      .replace(/[^\w\s\.,!?;:()\-'"]/g, '')
-      .trim();
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex');
   }
 
-  chunkText(text, maxChunkSize = 2000, overlap = 200) {
+  // Keeps line structure and Markdown syntax (headings, lists, tables, code fences) as well as
+  // URLs, addresses, prices and non-English text; see textCleaner.js
+  cleanText(text, options = {}) {
+    return cleanText(text, options);
+  }
+
+  // Lines repeated across most pages of a source (leftover navigation and footers), by source
+  findBoilerplate(pages) {
+    const textsBySource = new Map();
+    for (const page of pages) {
+      if (page.source === 'file') {
+        continue;
+      }
+      const { source } = this.extractMetadata(page);
+      if (!textsBySource.has(source)) {
+        textsBySource.set(source, []);
+      }
+      textsBySource.get(source).push(page.content);
+    }
+
+    const repeatedBySource = new Map();
+    for (const [source, texts] of textsBySource) {
+      repeatedBySource.set(source, findRepeatedLines(texts));
+    }
+    return repeatedBySource;
+  }
+
+  // Splits text at sentence boundaries into chunks of at most maxTokens. Every chunk after the
+  // first starts with the last sentences of the one before, up to overlapTokens.
+  chunkText(text, maxTokens = this.chunkTokens, overlapTokens = this.overlapTokens) {
+    const toSentence = text => ({ text, tokens: countTokens(text) });
+    const sentences = splitSentences(text).map(toSentence);
     const chunks = [];
-    const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-    
-    let currentChunk = '';
-    
-    for (const sentence of sentences) {
-      if ((currentChunk + sentence).length > maxChunkSize && currentChunk) {
-        chunks.push(currentChunk.trim());
-        // Start new chunk with overlap
-        const words = currentChunk.split(' ');
-        const overlapWords = words.slice(-Math.floor(overlap / 10));
-        currentChunk = overlapWords.join(' ') + ' ' + sentence;
-      } else {
-        currentChunk += sentence;
+    let current = [];
+    let currentTokens = 0;
+
+    for (let i = 0; i < sentences.length; i++) {
+      if (sentences[i].tokens > maxTokens) {
+        // Split at words, topping up the current chunk first so a heading doesn't end up alone
+        const pieces = this.splitAtWords(sentences[i].text, maxTokens, maxTokens - currentTokens);
+        sentences.splice(i, 1, ...pieces.map(toSentence));
       }
+
+      const sentence = sentences[i];
+      if (currentTokens + sentence.tokens > maxTokens && current.length > 0) {
+        chunks.push(current.map(s => s.text).join('').trim());
+
+        // Whole sentences only, and never the entire previous chunk
+        const overlap = [];
+        let overlapSize = 0;
+        for (let j = current.length - 1; j > 0 && overlapSize + current[j].tokens <= overlapTokens; j--) {
+          overlap.unshift(current[j]);
+          overlapSize += current[j].tokens;
+        }
+        while (overlap.length > 0 && overlapSize + sentence.tokens > maxTokens) {
+          overlapSize -= overlap.shift().tokens;
+        }
+
+        current = overlap;
+        currentTokens = overlapSize;
+      }
+      current.push(sentence);
+      currentTokens += sentence.tokens;
     }
-    
-    if (currentChunk.trim()) {
-      chunks.push(currentChunk.trim());
+
+    const last = current.map(s => s.text).join('').trim();
+    if (last) {
+      chunks.push(last);
     }
-    
+
     return chunks;
   }
 
+  // For "sentences" longer than a whole chunk, e.g. text without any punctuation.
+  // The first piece is at most firstMaxTokens, or left out if not even a word fits.
+  splitAtWords(text, maxTokens, firstMaxTokens = maxTokens) {
+    const pieces = [];
+    let current = '';
+    let limit = firstMaxTokens;
+
+    for (const word of text.split(/(?<=\s)/)) {
+      if (countTokens(current + word) > limit && (current || limit < maxTokens)) {
+        if (current) {
+          pieces.push(current);
+        }
+        current = '';
+        limit = maxTokens;
+      }
+      current += word;
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+    return pieces;
+  }
+
+  // Splits Markdown into sections at headings, each with the path of headings leading to it
+  splitSections(markdown) {
+    const sections = [];
+    const headings = [];
+    let current = { headingPath: [], lines: [] };
+    let inCodeBlock = false;
+
+    const flush = () => {
+      const content = current.lines.join('\n').trim();
+      if (content) {
+        sections.push({ headingPath: current.headingPath, content });
+      }
+    };
+
+    for (const line of markdown.split('\n')) {
+      if (line.startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+      }
+
+      const heading = !inCodeBlock && line.match(/^(#{1,6}) (.+)$/);
+      if (!heading) {
+        current.lines.push(line);
+        continue;
+      }
+
+      // A heading directly followed by a subheading has no content of its own,
+      // so it is carried into the subsection instead of becoming a section
+      const carried = current.lines.every(l => !l.trim() || /^#{1,6} /.test(l)) ? current.lines : [];
+      if (carried.length === 0) {
+        flush();
+      }
+
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, text: heading[2].trim() });
+      current = { headingPath: headings.map(h => h.text), lines: [...carried, line] };
+    }
+    flush();
+
+    return sections;
+  }
+
+  // Chunks never span unrelated sections: a section only absorbs the subsections that follow it,
+  // and oversized sections are split at blocks (paragraphs, lists, tables), then at sentences
+  // Sizes are in tokens (the paragraph break between joined parts counts as one).
+  chunkMarkdown(markdown, maxTokens = this.chunkTokens, overlapTokens = this.overlapTokens) {
+    const chunks = [];
+    let current = null;
+
+    const isWithin = (path, parent) => path.length > parent.length && parent.every((text, i) => path[i] === text);
+
+    for (const section of this.splitSections(markdown)) {
+      const tokens = countTokens(section.content);
+      if (current && isWithin(section.headingPath, current.headingPath) &&
+          current.tokens + tokens + 1 <= maxTokens) {
+        current.content += '\n\n' + section.content;
+        current.tokens += tokens + 1;
+        continue;
+      }
+
+      if (current) {
+        chunks.push(current);
+        current = null;
+      }
+
+      if (tokens <= maxTokens) {
+        current = { ...section, tokens };
+        continue;
+      }
+
+      for (const content of this.splitBlocks(section.content, maxTokens, overlapTokens)) {
+        chunks.push({ headingPath: section.headingPath, content });
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks.map(chunk => ({
+      content: chunk.content,
+      headingPath: chunk.headingPath.join(' > '),
+      tokenCount: countTokens(chunk.content)
+    }));
+  }
+
+  splitBlocks(content, maxTokens, overlapTokens) {
+    const pieces = [];
+    let currentPiece = '';
+    let currentTokens = 0;
+
+    for (const block of content.split(/\n{2,}/)) {
+      const tokens = countTokens(block);
+      if (tokens > maxTokens) {
+        // Whatever precedes the block (often just the heading) leads into its first chunk
+        pieces.push(...this.chunkText(currentPiece ? `${currentPiece}\n\n${block}` : block, maxTokens, overlapTokens));
+        currentPiece = '';
+        currentTokens = 0;
+        continue;
+      }
+
+      if (currentPiece && currentTokens + tokens + 1 > maxTokens) {
+        pieces.push(currentPiece);
+        currentPiece = '';
+        currentTokens = 0;
+      }
+      currentPiece = currentPiece ? `${currentPiece}\n\n${block}` : block;
+      currentTokens += currentTokens > 0 ? tokens + 1 : tokens;
+    }
+
+    if (currentPiece) {
+      pieces.push(currentPiece);
+    }
+
+    return pieces;
+  }
+
   extractMetadata(page) {
-    return {
+    const metadata = {
       url: page.url,
       title: page.title,
-      source: page.url.includes('guide.pepeunchained.com') ? 'guide' : 'main',
+      // Pages scraped before sources were labelled get the source that covers their URL
+      source: page.source || this.registry.findSource(page.url)?.name || 'web',
       scrapedAt: page.scrapedAt
     };
-  }
 
-  getManualKnowledgeEntries() {
-    // Add important information that might not be scraped well
-    const entries = [
-      {
-        url: 'https://pepuscan.com',
-        title: 'PepuScan - Pepe Unchained Block Explorer',
-        source: 'manual',
-        scrapedAt: new Date().toISOString(),
-        chunkIndex: 0,
-        totalChunks: 1,
-        content: 'PepuScan is the official block explorer for Pepe Unchained. You can use PepuScan (pepuscan.com) to view transactions, blocks, addresses, smart contracts, and all on-chain activity on the Pepe Unchained network. It works similar to Etherscan but for the Pepe Unchained Layer 2 blockchain. You can search for transaction hashes, wallet addresses, contract addresses, and block numbers to see detailed information about network activity.'
-      },
-      {
-        url: 'https://pepeunchained.com',
-        title: 'Pepe Unchained Key Information',
-        source: 'manual',
-        scrapedAt: new Date().toISOString(),
-        chunkIndex: 0,
-        totalChunks: 1,
-        content: 'Pepe Unchained is an EVM-compatible Layer 2 blockchain built on Ethereum. Key features: Very low gas fees compared to Ethereum mainnet, fast transaction speeds, supports all Ethereum tools and wallets like MetaMask. PEPU is the native token. The network has a DEX for trading, bridge functionality to move assets between Ethereum and Pepe Unchained, staking capabilities for PEPU tokens, and PepuScan block explorer for viewing on-chain data.'
-      },
-      {
-        url: 'https://pepeunchained.com',
-        title: 'Pump Pad - Launch Your Meme Coin',
-        source: 'manual',
-        scrapedAt: new Date().toISOString(),
-        chunkIndex: 0,
-        totalChunks: 1,
-        content: 'Pump Pad is a platform on Pepe Unchained that allows users to launch their own meme coins. It is part of the Pepe Unchained ecosystem and integrates with the Layer 2 blockchain infrastructure. Pump Pad enables creators to launch meme coins on the Pepe Unchained network, taking advantage of the low gas fees and fast transaction speeds. It is featured on the main Pepe Unchained website as one of the key products in the ecosystem.'
-      }
-    ];
-    
-    // Calculate contentLength
-    return entries.map(entry => ({
-      ...entry,
-      contentLength: entry.content.length
-    }));
+    // Chunks of ingested files point back to the document they came from
+    if (page.documentId) {
+      metadata.documentId = page.documentId;
+      metadata.filePath = page.filePath;
+    }
+
+    return metadata;
   }
 
-  async processData() {
+  // options.save: false returns the chunks without writing them (e.g. to validate them before
+  // saving with saveChunks); options.inputFile reads the scraped pages from another file;
+  // options.documents replaces the ingested documents (as pages, see DocumentIngester.toPages);
+  // options.keepMissingPages keeps the chunks of pages missing from the input
+  async processData(options = {}) {
+    const { save = true, inputFile = this.inputFile, keepMissingPages = false } = options;
     console.log('='.repeat(60));
     console.log('Processing Scraped Data');
     console.log('='.repeat(60));
 
-    const rawData = await this.loadScrapedData();
+    // Chunks from the previous run, so unchanged pages don't have to be rechunked
+    const previousChunks = new Map();
+    for (const chunk of await this.loadProcessedData()) {
+      if (!previousChunks.has(chunk.url)) {
+        previousChunks.set(chunk.url, []);
+      }
+      previousChunks.get(chunk.url).push(chunk);
+    }
+
+    // Ingested documents are kept apart from the scraped pages but chunked the same way
+    const documents = options.documents || await this.ingester.getPages();
+    const rawData = [...await this.loadScrapedData(inputFile), ...documents];
     
-    if (rawData.length === 0) {
-      console.error('No scraped data found. Please run the scraper first.');
+    if (rawData.length === 0 && !(keepMissingPages && previousChunks.size > 0)) {
+      console.error('No scraped data or ingested documents found. Please run the scraper first.');
       return [];
     }
 
+    if (documents.length > 0) {
+      console.log(`Including ${documents.length} ingested documents`);
+    }
+
+    try {
+      await this.registry.load();
+    } catch (error) {
+      console.error('Error loading sources:', error.message);
+    }
+
     const processedData = [];
 
-    // Add manual knowledge entries first (high priority)
-    const manualEntries = this.getManualKnowledgeEntries();
-    processedData.push(...manualEntries);
-    console.log(`Added ${manualEntries.length} manual knowledge entries`);
+    const stats = { processed: 0, reused: 0, skipped: 0 };
+    const boilerplate = this.findBoilerplate(rawData);
 
     for (const page of rawData) {
-      const cleanedContent = this.cleanText(page.content);
+      const contentHash = page.contentHash || this.hashContent(page.content);
+      const previous = previousChunks.get(page.url);
+
+      // Pages that lost chunks to deduplication are rechunked, since their duplicates may be unique now
+      if (previous && previous.length === previous[0].totalChunks && previous.every(chunk =>
+        chunk.contentHash === contentHash && chunk.processorVersion === PROCESSOR_VERSION &&
+        chunk.chunking === this.chunkingSettings)) {
+        // The source label may have changed in sources.json even though the content didn't
+        const { source } = this.extractMetadata(page);
+        processedData.push(...previous.map(chunk => ({ ...chunk, source })));
+        stats.reused++;
+        continue;
+      }
+
+      const metadata = this.extractMetadata(page);
+      const cleanedContent = this.cleanText(page.content, { repeatedLines: boilerplate.get(metadata.source) });
       
       if (!cleanedContent || cleanedContent.length < 50) {
+        stats.skipped++;
         continue; // Skip pages with too little content
       }
 
-      const chunks = this.chunkText(cleanedContent);
-      const metadata = this.extractMetadata(page);
+      const chunks = this.chunkMarkdown(cleanedContent);
 
       for (let i = 0; i < chunks.length; i++) {
         processedData.push({
           ...metadata,
           chunkIndex: i,
           totalChunks: chunks.length,
-          content: chunks[i],
-          contentLength: chunks[i].length
+          headingPath: chunks[i].headingPath,
+          content: chunks[i].content,
+          contentLength: chunks[i].content.length,
+          tokenCount: chunks[i].tokenCount,
+          contentHash,
+          processorVersion: PROCESSOR_VERSION,
+          chunking: this.chunkingSettings
         });
       }
+      stats.processed++;
     }
 
-    // Save processed data
-    await fs.writeFile(this.outputFile, JSON.stringify(processedData, null, 2));
+    // Pages that are no longer in the scraped data (removed from the site) drop out here, unless
+    // keepMissingPages is set: then the input only adds to the current knowledge base (e.g. after
+    // ingesting a document without a local scrape), and missing pages keep their chunks. Removed
+    // documents always drop out, since data/ingested.json lists all of them.
+    const currentUrls = new Set(rawData.map(page => page.url));
+    const missingPages = [...previousChunks.keys()].filter(url => !currentUrls.has(url));
+    const keptChunks = keepMissingPages
+      ? missingPages.flatMap(url => previousChunks.get(url)).filter(chunk => !chunk.documentId)
+      : [];
+    const keptPages = new Set(keptChunks.map(chunk => chunk.url)).size;
+
+    console.log(`Pages processed: ${stats.processed}, reused unchanged: ${stats.reused}, skipped (too short): ${stats.skipped}, kept (not in the scrape): ${keptPages}, dropped (removed): ${missingPages.length - keptPages}`);
+
+    // Mirrored content (e.g. the same text on the main site and the guide) keeps one canonical
+    // chunk, which lists the other places it appears in `aliases`. Kept chunks already went through
+    // this, and their aliases point at pages that aren't in the input either, so they stay as they are.
+    const deduped = dedupeChunks(processedData, {
+      threshold: this.duplicateThreshold
+    });
+    const uniqueChunks = [...deduped.chunks, ...keptChunks];
+    console.log(`Near-duplicate chunks merged: ${deduped.duplicates}`);
+
+    const version = save ? await this.saveChunks(uniqueChunks) : null;
 
     // Generate summary
-    const totalChunks = processedData.length;
-    const totalChars = processedData.reduce((sum, item) => sum + item.contentLength, 0);
-    const avgChunkSize = Math.round(totalChars / totalChunks);
+    const totalChunks = uniqueChunks.length;
+    const totalChars = uniqueChunks.reduce((sum, item) => sum + item.contentLength, 0);
+    const totalTokens = uniqueChunks.reduce((sum, item) => sum + item.tokenCount, 0);
+    // An empty scrape has no chunks to average over
+    const avgChunkSize = totalChunks ? Math.round(totalChars / totalChunks) : 0;
+    const avgChunkTokens = totalChunks ? Math.round(totalTokens / totalChunks) : 0;
 
     console.log(`\nProcessing Complete!`);
     console.log(`Total chunks: ${totalChunks}`);
     console.log(`Total characters: ${totalChars.toLocaleString()}`);
-    console.log(`Average chunk size: ${avgChunkSize} characters`);
-    console.log(`Processed data saved to: ${this.outputFile}\n`);
+    console.log(`Total tokens: ${totalTokens.toLocaleString()} (${getEncodingName()})`);
+    console.log(`Average chunk size: ${avgChunkTokens} tokens, ${avgChunkSize} characters`);
+    if (save) {
+      console.log(`Processed data saved to: ${this.store.dbFile} as version ${version} (exported to ${this.outputFile})`);
+    }
+    console.log('');
 
-    return processedData;
+    return uniqueChunks;
   }
 
-  async getTrainingText() {
-    const processedData = await this.loadProcessedData();
+  // Writes the chunks to the knowledge store in one transaction, as a new snapshot, then exports
+  // them as JSON. Returns the new version.
+  async saveChunks(chunks) {
+    const version = this.store.replaceChunks(chunks, {
+      processorVersion: PROCESSOR_VERSION,
+      chunking: this.chunkingSettings
+    });
+    await this.exportJSON();
+    return version;
+  }
+
+  async listSnapshots() {
+    return (await this.getStore()).listSnapshots();
+  }
+
+  // ref is a version, 'current' or 'previous' (the newest snapshot before the current version)
+  async getSnapshot(ref) {
+    const store = await this.getStore();
+    const current = store.version;
+
+    if (ref === 'current') {
+      // Knowledge bases written before snapshots existed have no snapshot of the current version
+      return store.getSnapshot(current) || {
+        version: current,
+        manifest: { version: current, createdAt: store.getMeta('updatedAt'), metadata: {}, ...buildManifest(store.getChunks()) },
+        chunks: store.getChunks()
+      };
+    }
+    if (ref === 'previous') {
+      const previous = store.listSnapshots().find(manifest => manifest.version < current);
+      return previous ? store.getSnapshot(previous.version) : null;
+    }
+    return /^\d+$/.test(String(ref)) ? store.getSnapshot(Number(ref)) : null;
+  }
+
+  // Makes a snapshot the current knowledge base and re-exports the JSON.
+  // Resolves to { version, restored } with the new version and the restored snapshot.
+  async rollback(ref) {
+    const snapshot = await this.getSnapshot(ref);
+    if (!snapshot) {
+      throw new Error(`No knowledge base snapshot ${ref} (see: node index.js kb list)`);
+    }
+    const version = (await this.getStore()).restoreSnapshot(snapshot.version);
+    await this.exportJSON();
+    return { version, restored: snapshot };
+  }
+
+  async exportJSON(file = this.outputFile) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(await this.loadProcessedData(), null, 2));
+    return file;
+  }
+
+  // Knowledge bases from before the SQLite store only exist as processed_content.json
+  async importLegacyJSON() {
+    let chunks;
+    try {
+      chunks = JSON.parse(await fs.readFile(this.outputFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error importing processed data:', error.message);
+      }
+      return false;
+    }
+
+    // Manual entries now live in data/manual_facts.json
+    this.store.replaceChunks(chunks.filter(chunk => chunk.source !== 'manual'), { importedFrom: path.basename(this.outputFile) });
+    console.log(`Imported ${this.outputFile} into ${this.store.dbFile}`);
+    return true;
+  }
+
+  async getStore() {
+    if (this.store.version === null) {
+      await this.importLegacyJSON();
+    }
+    return this.store;
+  }
+
+  // The knowledge base as one Markdown document (node index.js export --format md)
+  async getTrainingText(chunks = null) {
+    const processedData = chunks || await this.loadProcessedData();
     
     let trainingText = '# Pepe Unchained Knowledge Base\n\n';
-    trainingText += 'This document contains information about Pepe Unchained scraped from pepeunchained.com and guide.pepeunchained.com\n\n';
+    trainingText += 'This document contains information about Pepe Unchained from the crawled websites, ingested documents and manual facts\n\n';
     trainingText += '='.repeat(60) + '\n\n';
 
     for (const chunk of processedData) {
       trainingText += `## ${chunk.title}\n`;
+      if (chunk.headingPath) {
+        trainingText += `Section: ${chunk.headingPath}\n`;
+      }
       trainingText += `Source: ${chunk.url}\n`;
       trainingText += `Source Type: ${chunk.source}\n\n`;
       trainingText += `${chunk.content}\n\n`;
@@ -176,15 +513,29 @@ class DataProcessor {
     return trainingText;
   }
 
+  // Changes whenever the knowledge base is rewritten (used to invalidate caches)
+  async getProcessedDataVersion() {
+    return (await this.getStore()).version;
+  }
+
+  // Cached by the store until the next write, so this is cheap to call per query
   async loadProcessedData() {
     try {
-      const data = await fs.readFile(this.outputFile, 'utf-8');
-      return JSON.parse(data);
+      return (await this.getStore()).getChunks();
     } catch (error) {
       console.error('Error loading processed data:', error.message);
       return [];
     }
   }
+
+  async countChunks() {
+    return (await this.getStore()).count();
+  }
+
+  // Chunks matching the query's words, best first, with a BM25 score
+  async searchChunks(query, topK = 5) {
+    return (await this.getStore()).search(query, topK);
+  }
 }
 
 module.exports = DataProcessor;
@@ -0,0 +1,124 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Knowledge base exports for use outside the bot: Markdown for reading or pretraining, chunk
+// JSONL and CSV as a corpus for RAG evaluation, and OpenAI chat fine-tuning JSONL built from the
+// curated question/answer pairs in qa_pairs.json.
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', description: 'the knowledge base as one Markdown document' },
+  jsonl: { extension: 'jsonl', description: 'one chunk per line, with its ID, URL, title and heading path' },
+  csv: { extension: 'csv', description: 'one chunk per row, for spreadsheets and eval tools' },
+  'chat-jsonl': { extension: 'jsonl', description: 'OpenAI chat fine-tuning examples from qa_pairs.json' }
+};
+
+// System message of the fine-tuning examples; close to the bot's own, without the retrieved context
+const DEFAULT_SYSTEM_PROMPT = 'You are a friendly and helpful assistant for Pepe Unchained. Keep your answers short and concise, 2-3 sentences at most.';
+
+const CSV_COLUMNS = ['id', 'url', 'title', 'source', 'heading_path', 'chunk_index', 'token_count', 'content'];
+
+// Stable across exports as long as the page keeps its chunks; facts can share a page's URL, so
+// they are identified by their fact ID
+function chunkId(chunk) {
+  return chunk.factId ? `manual:${chunk.factId}` : `${chunk.url}#${chunk.chunkIndex || 0}`;
+}
+
+function toRecord(chunk) {
+  return {
+    id: chunkId(chunk),
+    url: chunk.url,
+    title: chunk.title || '',
+    source: chunk.source || '',
+    headingPath: chunk.headingPath || '',
+    chunkIndex: chunk.chunkIndex || 0,
+    tokenCount: chunk.tokenCount || null,
+    content: chunk.content
+  };
+}
+
+function formatJSONL(chunks) {
+  return chunks.map(chunk => JSON.stringify(toRecord(chunk))).join('\n') + '\n';
+}
+
+// RFC 4180: fields with commas, quotes or line breaks are quoted, quotes are doubled
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCSV(chunks) {
+  const rows = chunks.map(chunk => {
+    const record = toRecord(chunk);
+    return [record.id, record.url, record.title, record.source, record.headingPath, record.chunkIndex, record.tokenCount, record.content];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatChatJSONL(pairs, systemPrompt = DEFAULT_SYSTEM_PROMPT) {
+  return pairs.map(pair => JSON.stringify({
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: pair.question },
+      { role: 'assistant', content: pair.answer }
+    ]
+  })).join('\n') + '\n';
+}
+
+// Curated pairs: { pairs: [{ question, answer, sources: [{ url, quote }] }] }. Each pair cites the
+// knowledge base text its answer is based on (see findUnsupportedSources). Throws when a pair is
+// incomplete, since a fine-tuning file with one bad line is rejected as a whole.
+async function loadQAPairs(file = process.env.QA_PAIRS_FILE || path.join(__dirname, 'qa_pairs.json')) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+
+  const pairs = config.pairs || [];
+  const errors = [];
+  pairs.forEach((pair, index) => {
+    for (const field of ['question', 'answer']) {
+      if (typeof pair[field] !== 'string' || !pair[field].trim()) {
+        errors.push(`pair ${index + 1} has no ${field}`);
+      }
+    }
+    const sources = Array.isArray(pair.sources) ? pair.sources : [];
+    if (sources.length === 0 || sources.some(source => !source || !source.url || !source.quote)) {
+      errors.push(`pair ${index + 1} needs sources with a url and a quote`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`${file}: ${errors.join('; ')}`);
+  }
+
+  return pairs.map(pair => ({ question: pair.question.trim(), answer: pair.answer.trim(), sources: pair.sources }));
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Sources whose quote isn't in any chunk with that URL, so answers can't drift from the knowledge
+// base. Returns [{ question, url, quote }].
+function findUnsupportedSources(pairs, chunks) {
+  const contentByUrl = new Map();
+  for (const chunk of chunks) {
+    contentByUrl.set(chunk.url, [...(contentByUrl.get(chunk.url) || []), normalizeWhitespace(chunk.content)]);
+  }
+
+  return pairs.flatMap(pair => pair.sources
+    .filter(source => !(contentByUrl.get(source.url) || []).some(content => content.includes(normalizeWhitespace(source.quote))))
+    .map(source => ({ question: pair.question, url: source.url, quote: source.quote })));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DEFAULT_SYSTEM_PROMPT,
+  chunkId,
+  formatJSONL,
+  formatCSV,
+  formatChatJSONL,
+  loadQAPairs,
+  findUnsupportedSources
+};
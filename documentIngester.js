@@ -0,0 +1,251 @@
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { htmlToMarkdown } = require('./markdownExtractor');
+
+// Local documents (AMA transcripts, FAQ docs, litepapers) added to the knowledge base with
+// `node index.js ingest`. They are stored in data/ingested.json, apart from the scraped pages,
+// so a re-scrape never touches them; the processor chunks them together with the pages.
+
+const FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.pdf': 'pdf',
+  '.txt': 'text'
+};
+
+// * matches within a path segment, ** across segments
+function globToRegExp(pattern) {
+  let body = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      body += '.*';
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        body += '/?';
+      }
+    } else if (char === '*') {
+      body += '[^/]*';
+    } else if (char === '?') {
+      body += '[^/]';
+    } else {
+      body += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${body}$`);
+}
+
+async function walk(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        files.push(...await walk(fullPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+class DocumentIngester {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, 'data');
+    this.storeFile = path.join(this.dataDir, 'ingested.json');
+    // Paths are stored relative to this directory, so the store stays portable
+    this.baseDir = options.baseDir || process.cwd();
+    this.documents = [];
+  }
+
+  async load() {
+    try {
+      this.documents = JSON.parse(await fs.readFile(this.storeFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading ingested documents:', error.message);
+      }
+      this.documents = [];
+    }
+    return this.documents;
+  }
+
+  async save() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(this.storeFile, JSON.stringify(this.documents, null, 2));
+  }
+
+  // The same file always gets the same ID, so ingesting it again updates it
+  documentId(filePath) {
+    return 'doc-' + crypto.createHash('sha256').update(path.resolve(filePath)).digest('hex').slice(0, 10);
+  }
+
+  // Files matching a path, directory (searched recursively) or glob pattern, supported formats only
+  async expand(pattern) {
+    let files;
+
+    if (/[*?]/.test(pattern)) {
+      const normalized = pattern.split(path.sep).join('/');
+      const staticPrefix = normalized.split('/').filter((part, i, parts) =>
+        !parts.slice(0, i + 1).some(p => /[*?]/.test(p))).join('/');
+      const root = path.resolve(staticPrefix || '.');
+      const regex = globToRegExp(path.resolve(normalized).split(path.sep).join('/'));
+      files = (await walk(root))
+        .filter(file => regex.test(file.split(path.sep).join('/')))
+        .map(file => path.relative(process.cwd(), file));
+    } else {
+      const stats = await fs.stat(pattern);
+      files = stats.isDirectory() ? await walk(pattern) : [pattern];
+    }
+
+    return files.filter(file => FORMATS[path.extname(file).toLowerCase()]);
+  }
+
+  // Resolves to { format, title, content } with content as Markdown or plain text
+  async parseFile(filePath) {
+    const format = FORMATS[path.extname(filePath).toLowerCase()];
+    const fallbackTitle = path.basename(filePath, path.extname(filePath)).replace(/[-_]+/g, ' ');
+
+    if (format === 'pdf') {
+      // Loaded lazily so the bot doesn't pay for the PDF parser unless documents are ingested
+      const { PDFParse } = require('pdf-parse');
+      const parser = new PDFParse({ data: await fs.readFile(filePath) });
+      try {
+        const info = await parser.getInfo();
+        const result = await parser.getText();
+        return {
+          format,
+          title: (info.info && info.info.Title) || fallbackTitle,
+          // Page breaks come out as form feeds; paragraphs are a better boundary for chunking
+          content: result.text.replace(/\f/g, '\n\n').replace(/-- \d+ of \d+ --/g, '')
+        };
+      } finally {
+        await parser.destroy();
+      }
+    }
+
+    const text = await fs.readFile(filePath, 'utf-8');
+
+    if (format === 'html') {
+      const $ = cheerio.load(text);
+      $('script, style, nav, footer, header').remove();
+      const title = $('title').text().trim() || $('h1').first().text().trim() || fallbackTitle;
+      const root = $('main').get(0) || $('body').get(0) || $.root().get(0);
+      return { format, title, content: htmlToMarkdown($, root) };
+    }
+
+    if (format === 'markdown') {
+      const heading = text.match(/^# (.+)$/m);
+      return { format, title: heading ? heading[1].trim() : fallbackTitle, content: text };
+    }
+
+    return { format, title: fallbackTitle, content: text };
+  }
+
+  // Resolves to { added, updated, unchanged, failed } lists of file paths
+  async ingest(patterns) {
+    await this.load();
+    const result = { added: [], updated: [], unchanged: [], failed: [] };
+
+    const files = [];
+    for (const pattern of patterns) {
+      try {
+        const matches = await this.expand(pattern);
+        if (matches.length === 0) {
+          result.failed.push({ file: pattern, reason: 'no supported files found' });
+        }
+        files.push(...matches.filter(file => !files.includes(file)));
+      } catch (error) {
+        result.failed.push({ file: pattern, reason: error.message });
+      }
+    }
+
+    for (const file of files) {
+      const id = this.documentId(file);
+      let parsed;
+      try {
+        parsed = await this.parseFile(file);
+      } catch (error) {
+        result.failed.push({ file, reason: error.message });
+        continue;
+      }
+
+      if (!parsed.content.trim()) {
+        result.failed.push({ file, reason: 'no text content' });
+        continue;
+      }
+
+      const contentHash = crypto.createHash('sha256').update(parsed.content).digest('hex');
+      const existing = this.documents.find(document => document.id === id);
+      if (existing && existing.contentHash === contentHash) {
+        result.unchanged.push(file);
+        continue;
+      }
+
+      const document = {
+        id,
+        url: pathToFileURL(path.resolve(file)).href,
+        filePath: path.relative(this.baseDir, path.resolve(file)),
+        format: parsed.format,
+        title: parsed.title,
+        content: parsed.content,
+        contentHash,
+        ingestedAt: new Date().toISOString()
+      };
+
+      if (existing) {
+        this.documents[this.documents.indexOf(existing)] = document;
+        result.updated.push(file);
+      } else {
+        this.documents.push(document);
+        result.added.push(file);
+      }
+      console.log(`✓ ${existing ? 'Updated' : 'Ingested'}: ${document.title} (${document.id})`);
+    }
+
+    await this.save();
+    return result;
+  }
+
+  // Removes the document from the loaded list only; save() writes the list, so a caller can keep
+  // the document until the knowledge base without it has been saved
+  async remove(id) {
+    await this.load();
+    const document = this.documents.find(doc => doc.id === id);
+    if (!document) {
+      return null;
+    }
+
+    this.documents = this.documents.filter(doc => doc.id !== id);
+    return document;
+  }
+
+  async getPages() {
+    await this.load();
+    return this.toPages();
+  }
+
+  // The loaded documents in the shape of scraped pages, so DataProcessor can chunk them the same way
+  toPages() {
+    return this.documents.map(document => ({
+      url: document.url,
+      title: document.title,
+      source: 'file',
+      content: document.content,
+      contentHash: document.contentHash,
+      scrapedAt: document.ingestedAt,
+      documentId: document.id,
+      filePath: document.filePath
+    }));
+  }
+}
+
+module.exports = DocumentIngester;
+module.exports.globToRegExp = globToRegExp;
@@ -0,0 +1,227 @@
+const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Embeds text with OpenAI's embeddings endpoint
+class OpenAIEmbeddingProvider {
+  constructor(apiKey, options = {}) {
+    if (!apiKey) {
+      throw new Error('OpenAI API key is required for OpenAI embeddings. Set OPENAI_API_KEY in .env file');
+    }
+    this.name = 'openai';
+    this.model = options.model || 'text-embedding-3-small';
+    this.batchSize = options.batchSize || 100;
+    this.openai = options.client || new OpenAI({ apiKey });
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    // The API accepts arrays of inputs, so send them in batches
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const response = await this.openai.embeddings.create({
+        model: this.model,
+        input: batch
+      });
+
+      // Results are not guaranteed to come back in input order
+      const sorted = [...response.data].sort((a, b) => a.index - b.index);
+      vectors.push(...sorted.map(item => item.embedding));
+    }
+
+    return vectors;
+  }
+}
+
+// Deterministic embedder that hashes words and word bigrams into a fixed-size vector.
+// It needs no network access, which makes it suitable for tests and offline runs.
+class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || 256;
+    this.model = `hashing-${this.dimensions}`;
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1);
+  }
+
+  hashFeature(feature) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    return {
+      bucket: digest.readUInt32BE(0) % this.dimensions,
+      sign: digest[4] & 1 ? 1 : -1
+    };
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = this.tokenize(text);
+    const features = [...words];
+
+    for (let i = 0; i < words.length - 1; i++) {
+      features.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    for (const feature of features) {
+      const { bucket, sign } = this.hashFeature(feature);
+      vector[bucket] += sign;
+    }
+
+    return normalize(vector);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Hash of the chunk contents, used to detect an index built from a different set of chunks
+function hashChunks(chunks) {
+  const hash = crypto.createHash('sha256');
+  for (const chunk of chunks) {
+    hash.update(chunk.headingPath || '');
+    hash.update('\u0000');
+    hash.update(chunk.content || '');
+    hash.update('\u0000');
+  }
+  return hash.digest('hex');
+}
+
+function createEmbeddingProvider(options = {}) {
+  const provider = options.provider || process.env.EMBEDDING_PROVIDER || (options.apiKey ? 'openai' : 'local');
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider(options.apiKey, {
+        model: options.model || process.env.EMBEDDING_MODEL
+      });
+
+    case 'local':
+      return new LocalEmbeddingProvider({ dimensions: options.dimensions });
+
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+// Vector index over processed chunks, stored in data/embeddings.json.
+// Vectors are kept in the same order as the chunks they were built from.
+class EmbeddingIndex {
+  constructor(indexFile) {
+    this.indexFile = indexFile || path.join(__dirname, 'data', 'embeddings.json');
+    this.data = null;
+    // mtime of the file the loaded data came from (see reloadIfChanged)
+    this.loadedMtime = null;
+  }
+
+  async build(chunks, provider) {
+    console.log(`Creating embeddings for ${chunks.length} chunks using ${provider.name} (${provider.model})...`);
+
+    const texts = chunks.map(chunk => `${chunk.title || ''}\n${chunk.headingPath ? chunk.headingPath + '\n' : ''}${chunk.content}`);
+    const vectors = await provider.embed(texts);
+
+    this.data = {
+      provider: provider.name,
+      model: provider.model,
+      dimensions: vectors[0] ? vectors[0].length : 0,
+      sourceHash: hashChunks(chunks),
+      createdAt: new Date().toISOString(),
+      vectors
+    };
+
+    await fs.writeFile(this.indexFile, JSON.stringify(this.data));
+    this.loadedMtime = await this.getMtime();
+    console.log(`Embedding index saved to: ${this.indexFile}`);
+
+    return this.data;
+  }
+
+  async getMtime() {
+    try {
+      return (await fs.stat(this.indexFile)).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async load() {
+    this.loadedMtime = await this.getMtime();
+    try {
+      const data = await fs.readFile(this.indexFile, 'utf-8');
+      this.data = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading embedding index:', error.message);
+      }
+      this.data = null;
+    }
+    return this.data;
+  }
+
+  // Re-reads the file when another process replaced it (processing, a refresh in the API server,
+  // a rollback), so a running bot picks up the new index without a restart
+  async reloadIfChanged() {
+    if (!this.data || await this.getMtime() !== this.loadedMtime) {
+      await this.load();
+    }
+    return this.data;
+  }
+
+  // An index is only usable with the provider/model that built it and the chunks it was built from
+  isCompatible(chunks, provider) {
+    return Boolean(this.data) &&
+      this.data.provider === provider.name &&
+      this.data.model === provider.model &&
+      this.data.vectors.length === chunks.length &&
+      this.data.sourceHash === hashChunks(chunks);
+  }
+
+  search(queryVector, chunks, topK = 5) {
+    if (!this.data) {
+      return [];
+    }
+
+    return this.data.vectors
+      .map((vector, index) => ({ ...chunks[index], score: cosineSimilarity(queryVector, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+  EmbeddingIndex,
+  createEmbeddingProvider,
+  cosineSimilarity,
+  hashChunks
+};
@@ -3,6 +3,17 @@ const WebScraper = require('./scraper');
 const DataProcessor = require('./dataProcessor');
 const AIAgent = require('./aiAgent');
 const TelegramAIBot = require('./telegramBot');
+const { EmbeddingIndex, createEmbeddingProvider } = require('./embeddings');
+const { loadLLMConfig } = require('./llmProviders');
+const SourceRegistry = require('./sourceRegistry');
+const DocumentIngester = require('./documentIngester');
+const { diffChunks } = require('./knowledgeSnapshots');
+const ManualFactsStore = require('./manualFacts');
+const { checkSanity } = require('./knowledgeRefresher');
+const { EXPORT_FORMATS, formatJSONL, formatCSV, formatChatJSONL, loadQAPairs, findUnsupportedSources } = require('./datasetExport');
+const fs = require('fs').promises;
+const cheerio = require('cheerio');
+const path = require('path');
 
 async function main() {
   const args = process.argv.slice(2);
@@ -14,7 +25,7 @@ async function main() {
       break;
     
     case 'process':
-      await runProcessor();
+      await runProcessor({ force: args.includes('--force') });
       break;
     
     case 'query':
@@ -28,7 +39,7 @@ async function main() {
       break;
     
     case 'full':
-      await runFullPipeline();
+      await runFullPipeline({ force: args.includes('--force') });
       break;
     
     case 'telegram':
@@ -41,6 +52,22 @@ async function main() {
       await runAPIServer();
       break;
     
+    case 'sources':
+      await runSources(args.slice(1));
+      break;
+    
+    case 'ingest':
+      await runIngest(args.slice(1));
+      break;
+    
+    case 'kb':
+      await runKnowledgeBase(args.slice(1));
+      break;
+    
+    case 'export':
+      await runExport(args.slice(1));
+      break;
+    
     default:
       printUsage();
       break;
@@ -53,46 +80,383 @@ async function runScraper() {
   await scraper.scrapeAll();
 }
 
-async function runProcessor() {
+// A failed or partial scrape must not wipe the knowledge base: the new chunks only replace the
+// current ones when they pass the same sanity check as scheduled refreshes, or with --force.
+// Other options go to processData. Resolves to whether the chunks were saved.
+async function runProcessor(options = {}) {
   console.log('Starting data processor...\n');
+  const { force, ...processOptions } = options;
   const processor = new DataProcessor();
-  await processor.processData();
+  const previousChunks = (await processor.loadProcessedData()).length;
+  const processedData = await processor.processData({ ...processOptions, save: false });
+
+  const reason = checkSanity(processedData, previousChunks);
+  if (reason && !force) {
+    console.error(`Error: Not saving the processed data: ${reason}`);
+    console.log(`Keeping the current knowledge base (${previousChunks} chunks). Check the input, or save anyway by running the command again with --force`);
+    process.exitCode = 1;
+    return false;
+  }
+
+  const version = await processor.saveChunks(processedData);
+  console.log(`Processed data saved to: ${processor.store.dbFile} as version ${version} (exported to ${processor.outputFile})\n`);
+
+  if (processedData.length > 0) {
+    await runEmbeddingIndexer(processedData, processor.dataDir);
+  }
+  return true;
 }
 
-async function runQuery(query) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
+async function runEmbeddingIndexer(processedData, dataDir) {
+  // Uses OpenAI embeddings when a key is configured, otherwise the local embedder
+  // (override with EMBEDDING_PROVIDER=openai|local)
+  try {
+    const provider = createEmbeddingProvider({ apiKey: process.env.OPENAI_API_KEY });
+    const index = new EmbeddingIndex(path.join(dataDir, 'embeddings.json'));
+    await index.build(processedData, provider);
+  } catch (error) {
+    console.error('Error building embedding index:', error.message);
+    console.log('Semantic search will be disabled until the index is rebuilt.');
+  }
+}
+
+function ensureLLMConfigured() {
+  // Only the OpenAI provider needs a key; local servers and the mock provider run without one
+  const config = loadLLMConfig();
+  if (config.provider === 'openai' && !config.apiKey) {
     console.error('Error: OPENAI_API_KEY not found in .env file');
     console.log('Please create a .env file with: OPENAI_API_KEY=your_key_here');
+    console.log('Or select another provider with LLM_PROVIDER=openai-compatible|mock');
     process.exit(1);
   }
+}
 
-  const agent = new AIAgent(apiKey);
+async function runQuery(query) {
+  ensureLLMConfigured();
+
+  const agent = new AIAgent(process.env.OPENAI_API_KEY);
   
   // Use queryWithRelevantContext for better performance
-  // Using gpt-3.5-turbo for cost efficiency
+  // The model comes from the provider config (LLM_MODEL), gpt-3.5-turbo by default for cost efficiency
   await agent.queryWithRelevantContext(query, {
-    model: 'gpt-3.5-turbo',
     temperature: 0.7,
     maxTokens: 500,  // Reduced to save tokens
     topK: 2  // Reduced to send less context
   });
 }
 
-async function runFullPipeline() {
+async function runFullPipeline(options = {}) {
   console.log('Running full pipeline: Scrape -> Process -> Ready for queries\n');
   
   // Step 1: Scrape
   await runScraper();
   
   // Step 2: Process
-  await runProcessor();
+  await runProcessor(options);
+  if (process.exitCode) {
+    return;
+  }
   
   console.log('\n✓ Full pipeline complete!');
   console.log('You can now use: node index.js query "your question"');
   console.log('Or start the Telegram bot: node index.js telegram');
 }
 
+async function runSources(args) {
+  const registry = new SourceRegistry();
+  await registry.load();
+  const subcommand = args[0] || 'list';
+
+  switch (subcommand) {
+    case 'list':
+      if (registry.sources.length === 0) {
+        console.log(`No sources configured in ${registry.configFile}`);
+        break;
+      }
+      for (const source of registry.sources) {
+        console.log(`\n${source.name} (max ${source.maxPages} pages)`);
+        console.log(`  Start URLs: ${source.startUrls.join(', ')}`);
+        if (source.include.length > 0) console.log(`  Include:    ${source.include.join(', ')}`);
+        if (source.exclude.length > 0) console.log(`  Exclude:    ${source.exclude.join(', ')}`);
+        if (source.contentSelectors.length > 0) console.log(`  Selectors:  ${source.contentSelectors.join(', ')}`);
+      }
+      console.log('');
+      break;
+
+    case 'add': {
+      const { positional, options } = parseSourceArgs(args.slice(1));
+      const [name, ...startUrls] = positional;
+      if (!name || startUrls.length === 0) {
+        console.error('Error: Please provide a name and at least one start URL');
+        console.log('Usage: node index.js sources add <name> <url> [url...] [--include pattern] [--exclude pattern] [--selector css] [--max-pages n]');
+        process.exit(1);
+      }
+      try {
+        const source = await registry.add({
+          name,
+          startUrls,
+          include: options.include,
+          exclude: options.exclude,
+          contentSelectors: options.selector,
+          maxPages: options['max-pages'] ? Number(options['max-pages'][0]) : undefined
+        });
+        console.log(`✓ Added source "${source.name}" to ${registry.configFile}`);
+        console.log('Run "node index.js full" to crawl it');
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    case 'validate': {
+      const problems = registry.validate();
+      for (const problem of problems) {
+        console.log(`✗ ${problem.name}`);
+        problem.errors.forEach(error => console.log(`    ${error}`));
+      }
+
+      // --fetch also checks that each source's first start URL loads and its selectors match
+      if (args.includes('--fetch')) {
+        const scraper = new WebScraper();
+        const invalid = new Set(problems.map(problem => problem.name));
+        for (const source of registry.sources.filter(source => !invalid.has(source.name))) {
+          const result = await scraper.fetchPage(source.startUrls[0]);
+          if (!result.html) {
+            problems.push({ name: source.name, errors: [`${source.startUrls[0]} returned ${result.status || 'no response'}`] });
+            console.log(`✗ ${source.name}: ${source.startUrls[0]} returned ${result.status || 'no response'}`);
+            continue;
+          }
+          const $ = cheerio.load(result.html);
+          const unmatched = source.contentSelectors.filter(selector => $(selector).length === 0);
+          if (unmatched.length > 0) {
+            console.log(`! ${source.name}: selectors not found on ${source.startUrls[0]}: ${unmatched.join(', ')}`);
+          }
+        }
+      }
+
+      if (problems.length > 0) {
+        process.exit(1);
+      }
+      console.log(`✓ ${registry.sources.length} sources valid`);
+      break;
+    }
+
+    default:
+      console.error(`Unknown sources command: ${subcommand}`);
+      console.log('Usage: node index.js sources list|add|validate');
+      process.exit(1);
+  }
+}
+
+// Documents are added to the current knowledge base: web pages missing from the local scrape
+// (e.g. on a fresh clone, where only data/processed_content.json exists) keep their chunks
+async function runIngest(allArgs) {
+  const ingester = new DocumentIngester();
+  const force = allArgs.includes('--force');
+  const args = allArgs.filter(arg => arg !== '--force');
+
+  if (args.length === 0) {
+    console.error('Error: Please provide files, directories or glob patterns to ingest');
+    console.log('Usage: node index.js ingest <path|glob>... [--force] | ingest list | ingest remove <id> [--force]');
+    process.exit(1);
+  }
+
+  if (args[0] === 'list') {
+    const documents = await ingester.load();
+    if (documents.length === 0) {
+      console.log('No ingested documents');
+    }
+    for (const document of documents) {
+      console.log(`${document.id}  ${document.format.padEnd(8)} ${document.title} (${document.filePath}, ${document.content.length} chars, ${document.ingestedAt})`);
+    }
+    return;
+  }
+
+  if (args[0] === 'remove') {
+    if (!args[1]) {
+      console.error('Error: Please provide the ID of the document to remove (see: node index.js ingest list)');
+      process.exit(1);
+    }
+    const document = await ingester.remove(args[1]);
+    if (!document) {
+      console.error(`Error: No ingested document with ID ${args[1]}`);
+      process.exit(1);
+    }
+    // The document stays in data/ingested.json until the knowledge base without it is saved
+    if (await runProcessor({ force, keepMissingPages: true, documents: ingester.toPages() })) {
+      await ingester.save();
+      console.log(`✓ Removed ${document.title} (${document.filePath})`);
+    }
+    return;
+  }
+
+  console.log('Ingesting documents...\n');
+  const result = await ingester.ingest(args);
+
+  console.log(`\nAdded: ${result.added.length}, Updated: ${result.updated.length}, Unchanged: ${result.unchanged.length}, Failed: ${result.failed.length}`);
+  result.failed.forEach(failure => console.log(`  ✗ ${failure.file}: ${failure.reason}`));
+
+  // Rechunk and reindex so the documents can be queried right away
+  if (result.added.length > 0 || result.updated.length > 0) {
+    console.log('');
+    await runProcessor({ force, keepMissingPages: true });
+  }
+}
+
+async function runKnowledgeBase(args) {
+  const processor = new DataProcessor();
+  const subcommand = args[0] || 'list';
+
+  switch (subcommand) {
+    case 'list': {
+      const snapshots = await processor.listSnapshots();
+      const current = await processor.getProcessedDataVersion();
+      if (snapshots.length === 0) {
+        console.log('No knowledge base snapshots yet. Run: node index.js process');
+        break;
+      }
+      for (const manifest of snapshots) {
+        const marker = manifest.version === current ? '*' : ' ';
+        const sources = Object.entries(manifest.sources).map(([name, counts]) => `${name} ${counts.chunks}`).join(', ');
+        const restored = manifest.metadata && manifest.metadata.restoredFrom ? `  restored from ${manifest.metadata.restoredFrom}` : '';
+        console.log(`${marker} ${manifest.version}  ${manifest.createdAt}  ${manifest.chunks} chunks, ${manifest.pages} pages (${sources})  ${manifest.hash.slice(0, 12)}${restored}`);
+      }
+      console.log('\n* current version');
+      break;
+    }
+
+    case 'diff': {
+      if (!args[1]) {
+        console.error('Error: Please provide the versions to compare (see: node index.js kb list)');
+        console.log('Usage: node index.js kb diff <a> [b]   (versions, "current" or "previous"; b defaults to current)');
+        process.exit(1);
+      }
+      const snapshots = [];
+      for (const ref of [args[1], args[2] || 'current']) {
+        const snapshot = await processor.getSnapshot(ref);
+        if (!snapshot) {
+          console.error(`Error: No knowledge base snapshot ${ref} (see: node index.js kb list)`);
+          process.exit(1);
+        }
+        snapshots.push(snapshot);
+      }
+      const [before, after] = snapshots;
+
+      console.log(`Knowledge base ${before.version} (${before.manifest.createdAt}) -> ${after.version} (${after.manifest.createdAt})\n`);
+      const { pages, totals } = diffChunks(before.chunks, after.chunks);
+      for (const page of pages) {
+        console.log(`${page.status === 'added' ? '+' : page.status === 'removed' ? '-' : '~'} ${page.url}${page.title !== page.url ? ` (${page.title})` : ''}`);
+        page.added.forEach(chunk => console.log(`    + ${describeChunk(chunk)}`));
+        page.removed.forEach(chunk => console.log(`    - ${describeChunk(chunk)}`));
+        page.modified.forEach(change => console.log(`    ~ ${describeChunk(change.after)}`));
+      }
+      console.log(`${pages.length > 0 ? '\n' : ''}${totals.added} added, ${totals.removed} removed, ${totals.modified} modified, ${totals.unchanged} unchanged chunks (${pages.length} pages changed)`);
+      break;
+    }
+
+    case 'rollback': {
+      if (!args[1]) {
+        console.error('Error: Please provide the version to restore (see: node index.js kb list)');
+        process.exit(1);
+      }
+      try {
+        const { version, restored } = await processor.rollback(args[1]);
+        console.log(`✓ Restored knowledge base version ${restored.version} (${restored.manifest.createdAt}, ${restored.chunks.length} chunks) as version ${version}\n`);
+        await runEmbeddingIndexer(restored.chunks, processor.dataDir);
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+      }
+      break;
+    }
+
+    default:
+      console.error(`Unknown kb command: ${subcommand}`);
+      console.log('Usage: node index.js kb list|diff|rollback');
+      process.exit(1);
+  }
+}
+
+async function runExport(args) {
+  const { options } = parseSourceArgs(args);
+  const format = options.format ? options.format[0] : null;
+
+  if (!EXPORT_FORMATS[format]) {
+    console.error(format ? `Error: Unknown export format: ${format}` : 'Error: Please choose an export format');
+    console.log('Usage: node index.js export --format md|jsonl|csv|chat-jsonl [--output file]');
+    for (const [name, { description }] of Object.entries(EXPORT_FORMATS)) {
+      console.log(`  ${name.padEnd(10)} ${description}`);
+    }
+    process.exit(1);
+  }
+
+  const processor = new DataProcessor();
+  const baseName = format === 'chat-jsonl' ? 'chat_finetune' : 'knowledge_base';
+  const outputFile = options.output ? options.output[0] : path.join(processor.dataDir, 'export', `${baseName}.${EXPORT_FORMATS[format].extension}`);
+  let output;
+  let count;
+
+  try {
+    // Everything the bot answers from: processed chunks and all manual facts
+    const facts = await new ManualFactsStore().getChunks({ includePinned: true });
+    const chunks = [...await processor.loadProcessedData(), ...facts];
+    if (chunks.length === 0) {
+      throw new Error('No processed data found. Please run scraper and processor first.');
+    }
+
+    if (format === 'chat-jsonl') {
+      const pairs = await loadQAPairs();
+      if (pairs.length === 0) {
+        throw new Error('No question/answer pairs to export. Add some to qa_pairs.json');
+      }
+      // Models must not be trained on answers the knowledge base doesn't back up
+      const unsupported = findUnsupportedSources(pairs, chunks);
+      if (unsupported.length > 0) {
+        unsupported.forEach(source => console.log(`  ✗ "${source.question}": quote not found at ${source.url}: ${source.quote}`));
+        throw new Error(`${unsupported.length} quotes in qa_pairs.json are not in the knowledge base`);
+      }
+      output = formatChatJSONL(pairs);
+      count = `${pairs.length} question/answer pairs`;
+    } else {
+      output = format === 'md' ? await processor.getTrainingText(chunks)
+        : format === 'csv' ? formatCSV(chunks)
+        : formatJSONL(chunks);
+      count = `${chunks.length} chunks`;
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  await fs.mkdir(path.dirname(outputFile), { recursive: true });
+  await fs.writeFile(outputFile, output);
+  console.log(`✓ Exported ${count} as ${format} to ${outputFile}`);
+}
+
+// One line per chunk in diffs: where it is on the page and how it starts
+function describeChunk(chunk) {
+  const preview = chunk.content.replace(/\s+/g, ' ').slice(0, 80);
+  return `#${chunk.chunkIndex} ${chunk.headingPath || chunk.title || ''}: ${preview}${chunk.content.length > 80 ? '...' : ''}`;
+}
+
+// Splits "--flag value" pairs (repeatable) from positional arguments
+function parseSourceArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].slice(2);
+      options[key] = [...(options[key] || []), args[++i]];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { positional, options };
+}
+
 async function runAPIServer() {
   console.log('Starting API server...\n');
   require('./api');
@@ -112,11 +476,7 @@ async function runTelegramBot() {
     process.exit(1);
   }
 
-  if (!openaiApiKey) {
-    console.error('Error: OPENAI_API_KEY not found in .env file');
-    console.log('Please create a .env file with: OPENAI_API_KEY=your_key_here');
-    process.exit(1);
-  }
+  ensureLLMConfigured();
 
   console.log('🤖 Starting Telegram bot...');
   console.log('Press Ctrl+C to stop the bot\n');
@@ -143,11 +503,23 @@ Pepe Unchained AI Agent
 
 Usage:
   node index.js scrape          - Scrape websites
-  node index.js process          - Process scraped data
+  node index.js process [--force] - Process scraped data (--force saves it even if it fails the sanity check)
   node index.js query "question" - Query the AI agent
-  node index.js full             - Run full pipeline (scrape + process)
+  node index.js full [--force]   - Run full pipeline (scrape + process)
   node index.js telegram         - Start Telegram bot
   node index.js api              - Start API server for prices/tokens
+  node index.js sources list     - List the sources to crawl (sources.json)
+  node index.js sources add <name> <url> [--include pattern] [--exclude pattern] [--selector css] [--max-pages n]
+                                 - Add a source
+  node index.js sources validate [--fetch] - Check the sources config
+  node index.js ingest <path|glob>... [--force] - Add local Markdown, HTML, PDF or text files to the knowledge base
+  node index.js ingest list      - List ingested documents
+  node index.js ingest remove <id> [--force] - Remove an ingested document
+  node index.js kb list          - List knowledge base versions (one per processing run)
+  node index.js kb diff <a> [b]  - Show chunks added, removed and modified between two versions
+  node index.js kb rollback <version> - Restore an earlier knowledge base version
+  node index.js export --format md|jsonl|csv|chat-jsonl [--output file]
+                                 - Export the knowledge base, or fine-tuning data from qa_pairs.json
 
 Examples:
   node index.js scrape
@@ -155,6 +527,10 @@ Examples:
   node index.js query "What is Pepe Unchained?"
   node index.js full
   node index.js telegram
+  node index.js ingest "docs/**/*.md" litepaper.pdf
+  node index.js kb diff previous current
+  node index.js export --format chat-jsonl --output train.jsonl
+  node index.js sources add dapp-docs https://docs.example.com --exclude "*/changelog*"
   `);
 }
 
@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const WebScraper = require('./scraper');
+const DataProcessor = require('./dataProcessor');
+const { EmbeddingIndex, createEmbeddingProvider } = require('./embeddings');
+
+// Re-scrapes and reprocesses the knowledge base on a schedule inside the bot or API process.
+// The scrape and embedding index are written to temp files and the new chunks are sanity-checked
+// before anything replaces the current data: the chunks replace the current ones in a single store
+// transaction, then the index, raw pages and scrape state are renamed into place. A rejected or
+// failed refresh leaves the last good scrape and index alone.
+// Emits 'refresh' events ({ ok, reason, warning, previousChunks, chunks, changes, durationMs }).
+class KnowledgeRefresher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.intervalMinutes = options.intervalMinutes !== undefined
+      ? options.intervalMinutes
+      : parseFloat(process.env.KB_REFRESH_INTERVAL_MINUTES) || 0;
+    const limits = sanityLimits(options);
+    this.minChunks = limits.minChunks;
+    this.minRatio = limits.minRatio;
+    this.createScraper = options.createScraper || (() => new WebScraper());
+    this.processor = options.processor || new DataProcessor();
+    this.embeddingProvider = options.embeddingProvider || createEmbeddingProvider({ apiKey: process.env.OPENAI_API_KEY });
+    this.indexFile = options.indexFile || path.join(this.processor.dataDir, 'embeddings.json');
+    // Shared by all processes, so the bot and the API server never refresh at the same time
+    this.lockFile = path.join(this.processor.dataDir, 'refresh.lock');
+    this.lockTimeoutMs = 6 * 60 * 60 * 1000;
+    this.timer = null;
+    this.running = null;
+    this.lastResult = null;
+  }
+
+  get enabled() {
+    return this.intervalMinutes > 0;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.refresh().catch(error => console.error('[Refresh] Error refreshing knowledge base:', error.message));
+    }, this.intervalMinutes * 60 * 1000);
+    // A pending refresh shouldn't keep the process alive on shutdown
+    this.timer.unref();
+
+    console.log(`[Refresh] Knowledge base refresh scheduled every ${this.intervalMinutes} minutes`);
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Calls during a run get that run's result instead of starting another one
+  refresh() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async acquireLock() {
+    try {
+      await fs.mkdir(this.processor.dataDir, { recursive: true });
+      await fs.writeFile(this.lockFile, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // A lock left behind by a crashed run expires
+      const stats = await fs.stat(this.lockFile).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > this.lockTimeoutMs) {
+        await fs.rm(this.lockFile, { force: true });
+        return this.acquireLock();
+      }
+      return false;
+    }
+  }
+
+  checkSanity(chunks, previousChunks) {
+    return checkSanity(chunks, previousChunks, this);
+  }
+
+  async run() {
+    const startedAt = Date.now();
+    const result = { ok: false, reason: null, warning: null, previousChunks: 0, chunks: 0, changes: null, durationMs: 0 };
+
+    if (!await this.acquireLock()) {
+      console.log('[Refresh] Skipped: another refresh is already running');
+      return { ...result, reason: 'another refresh is already running', skipped: true };
+    }
+
+    const tempIndexFile = `${this.indexFile}.tmp`;
+    const scraper = this.createScraper();
+    const tempScrapeFile = `${scraper.outputFile}.tmp`;
+    const tempStateFile = `${scraper.stateFile}.tmp`;
+
+    try {
+      console.log('[Refresh] Starting knowledge base refresh');
+
+      await scraper.scrapeAll({ outputFile: tempScrapeFile, stateFile: tempStateFile });
+      const { added, changed, removed } = scraper.runSummary;
+      result.changes = { added: added.length, changed: changed.length, removed: removed.length };
+
+      result.previousChunks = (await this.processor.loadProcessedData()).length;
+      const chunks = await this.processor.processData({ save: false, inputFile: tempScrapeFile });
+      result.chunks = chunks.length;
+
+      result.reason = this.checkSanity(chunks, result.previousChunks);
+      if (!result.reason) {
+        // Without a matching index, queries fall back to lexical search until the next refresh
+        let indexBuilt = false;
+        try {
+          await new EmbeddingIndex(tempIndexFile).build(chunks, this.embeddingProvider);
+          indexBuilt = true;
+        } catch (error) {
+          result.warning = `embedding index not rebuilt (${error.message})`;
+        }
+
+        // The files only replace the current ones once the store has committed the chunks, so the
+        // index is never ahead of the chunks it belongs to. rename() replaces each file in one
+        // step, so readers never see a partial write.
+        await this.processor.saveChunks(chunks);
+        if (indexBuilt) {
+          await fs.rename(tempIndexFile, this.indexFile);
+        }
+        await fs.rename(tempScrapeFile, scraper.outputFile);
+        await fs.rename(tempStateFile, scraper.stateFile);
+        result.ok = true;
+      }
+    } catch (error) {
+      result.reason = error.message;
+    } finally {
+      await fs.rm(tempIndexFile, { force: true });
+      await fs.rm(tempScrapeFile, { force: true });
+      await fs.rm(tempStateFile, { force: true });
+      await fs.rm(this.lockFile, { force: true });
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    this.lastResult = { ...result, finishedAt: new Date().toISOString() };
+    console.log(`[Refresh] ${formatRefreshResult(result)}`);
+    this.emit('refresh', result);
+    return result;
+  }
+}
+
+// New chunks are rejected below minChunks, or below minRatio of the current chunk count
+function sanityLimits(options = {}) {
+  return {
+    minChunks: options.minChunks || parseInt(process.env.KB_REFRESH_MIN_CHUNKS) || 10,
+    minRatio: options.minRatio || parseFloat(process.env.KB_REFRESH_MIN_RATIO) || 0.5
+  };
+}
+
+// Returns why the new chunks should not replace the current ones, or null if they look fine.
+// Used by scheduled refreshes and by `node index.js process`.
+function checkSanity(chunks, previousChunks, options = {}) {
+  const { minChunks, minRatio } = sanityLimits(options);
+  if (chunks.length < minChunks) {
+    return `only ${chunks.length} chunks (minimum ${minChunks})`;
+  }
+  if (previousChunks > 0 && chunks.length < previousChunks * minRatio) {
+    return `${chunks.length} chunks is less than ${Math.round(minRatio * 100)}% of the current ${previousChunks}`;
+  }
+  if (chunks.some(chunk => !chunk.content || !chunk.url)) {
+    return 'some chunks have no content or URL';
+  }
+  return null;
+}
+
+// One-line summary for logs and admin notifications
+function formatRefreshResult(result) {
+  const minutes = Math.floor(result.durationMs / 60000);
+  const seconds = Math.round((result.durationMs % 60000) / 1000);
+  const duration = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+
+  if (!result.ok) {
+    return `❌ Knowledge base refresh failed after ${duration}: ${result.reason}. Keeping the current knowledge base (${result.previousChunks} chunks).`;
+  }
+
+  const { added, changed, removed } = result.changes;
+  let message = `✅ Knowledge base refreshed in ${duration}: ${result.chunks} chunks (was ${result.previousChunks}). Pages: ${added} added, ${changed} changed, ${removed} removed.`;
+  if (result.warning) {
+    message += ` ⚠️ ${result.warning}`;
+  }
+  return message;
+}
+
+module.exports = KnowledgeRefresher;
+module.exports.formatRefreshResult = formatRefreshResult;
+module.exports.checkSanity = checkSanity;
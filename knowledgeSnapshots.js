@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Manifests and diffs for knowledge base snapshots. Every write to the knowledge store keeps a
+// snapshot of the chunks with a manifest (sources, chunk counts, hashes), so a change in answers
+// can be traced to the chunks that changed, and an earlier version can be restored.
+
+// Identifies a chunk by what retrieval sees: its heading path and content
+function hashChunk(chunk) {
+  return crypto.createHash('sha256')
+    .update(chunk.headingPath || '')
+    .update('\u0000')
+    .update(chunk.content || '')
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function buildManifest(chunks) {
+  const sources = {};
+  const pages = {};
+
+  for (const chunk of chunks) {
+    const source = chunk.source || 'web';
+    if (!sources[source]) {
+      sources[source] = { pages: 0, chunks: 0 };
+    }
+    if (!pages[chunk.url]) {
+      pages[chunk.url] = [];
+      sources[source].pages++;
+    }
+    sources[source].chunks++;
+    pages[chunk.url].push(hashChunk(chunk));
+  }
+
+  const hash = crypto.createHash('sha256');
+  for (const [url, hashes] of Object.entries(pages)) {
+    hash.update(`${url}\u0000${hashes.join(',')}\n`);
+  }
+
+  return {
+    chunks: chunks.length,
+    pages: Object.keys(pages).length,
+    hash: hash.digest('hex'),
+    sources,
+    // Chunk hashes per URL, in chunk order
+    hashes: pages
+  };
+}
+
+function groupByUrl(chunks) {
+  const groups = new Map();
+  for (const chunk of chunks) {
+    if (!groups.has(chunk.url)) {
+      groups.set(chunk.url, []);
+    }
+    groups.get(chunk.url).push(chunk);
+  }
+  return groups;
+}
+
+// Added, removed and modified chunks per URL. Chunks with the same hash are unchanged wherever
+// they moved on the page; of the rest, chunks under the same heading path count as modified.
+function diffChunks(before, after) {
+  const oldPages = groupByUrl(before);
+  const newPages = groupByUrl(after);
+  const pages = [];
+  const totals = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+
+  const urls = [...new Set([...oldPages.keys(), ...newPages.keys()])].sort();
+  for (const url of urls) {
+    let removed = [...(oldPages.get(url) || [])];
+    let added = [];
+    let unchanged = 0;
+
+    for (const chunk of newPages.get(url) || []) {
+      const hash = hashChunk(chunk);
+      const index = removed.findIndex(old => hashChunk(old) === hash);
+      if (index === -1) {
+        added.push(chunk);
+      } else {
+        removed.splice(index, 1);
+        unchanged++;
+      }
+    }
+
+    const modified = [];
+    added = added.filter(chunk => {
+      const index = removed.findIndex(old => (old.headingPath || '') === (chunk.headingPath || ''));
+      if (index === -1) {
+        return true;
+      }
+      modified.push({ before: removed[index], after: chunk });
+      removed.splice(index, 1);
+      return false;
+    });
+
+    totals.added += added.length;
+    totals.removed += removed.length;
+    totals.modified += modified.length;
+    totals.unchanged += unchanged;
+
+    if (added.length > 0 || removed.length > 0 || modified.length > 0) {
+      const title = ((newPages.get(url) || oldPages.get(url))[0].title) || url;
+      const status = !oldPages.has(url) ? 'added' : !newPages.has(url) ? 'removed' : 'changed';
+      pages.push({ url, title, status, added, removed, modified });
+    }
+  }
+
+  return { pages, totals };
+}
+
+module.exports = {
+  buildManifest,
+  diffChunks,
+  hashChunk
+};
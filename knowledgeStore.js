@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const { STOPWORDS } = require('./bm25');
+const { buildManifest } = require('./knowledgeSnapshots');
+
+// The processed knowledge base in SQLite (data/knowledge.db): chunks, per-source counts and
+// metadata, with an FTS5 index over titles, heading paths and content. Processing replaces the
+// chunks in one transaction, so readers (the bot, the API server) see the old or the new
+// knowledge base, never a mix. Chunks are kept in memory per version, so queries don't re-read
+// the whole table. Each write is also kept as a snapshot (see knowledgeSnapshots.js), so earlier
+// versions can be compared and restored.
+
+// Columns that are queried or indexed; everything else about a chunk is kept in `metadata` (JSON)
+const CHUNK_COLUMNS = ['url', 'title', 'source', 'headingPath', 'chunkIndex', 'content'];
+
+// Title and heading matches weigh more than content matches, as in BM25Index
+const FTS_WEIGHTS = { title: 2, headingPath: 2, content: 1 };
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS chunks (
+    id INTEGER PRIMARY KEY,
+    url TEXT NOT NULL,
+    title TEXT,
+    source TEXT,
+    heading_path TEXT,
+    chunk_index INTEGER,
+    content TEXT NOT NULL,
+    metadata TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS chunks_url ON chunks (url);
+  CREATE INDEX IF NOT EXISTS chunks_source ON chunks (source);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5 (
+    title, heading_path, content,
+    content = 'chunks', content_rowid = 'id',
+    tokenize = 'porter unicode61 remove_diacritics 2'
+  );
+
+  CREATE TABLE IF NOT EXISTS sources (
+    name TEXT PRIMARY KEY,
+    pages INTEGER NOT NULL,
+    chunks INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS snapshots (
+    version INTEGER PRIMARY KEY,
+    manifest TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS snapshot_chunks (
+    version INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    chunk TEXT NOT NULL,
+    PRIMARY KEY (version, position)
+  );
+`;
+
+// Query words as quoted FTS5 terms joined with OR, so punctuation in questions can't break the syntax
+function toMatchQuery(query) {
+  const words = ((query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+  return [...new Set(words)].map(word => `"${word}"`).join(' OR ');
+}
+
+function rowToChunk(row) {
+  return {
+    url: row.url,
+    title: row.title,
+    source: row.source,
+    ...(row.heading_path !== null ? { headingPath: row.heading_path } : {}),
+    chunkIndex: row.chunk_index,
+    content: row.content,
+    ...JSON.parse(row.metadata)
+  };
+}
+
+class KnowledgeStore {
+  constructor(dbFile) {
+    this.dbFile = dbFile || process.env.KNOWLEDGE_DB || path.join(__dirname, 'data', 'knowledge.db');
+    this.db = null;
+    this.cache = { version: null, chunks: null };
+    // Snapshots kept besides the current version
+    this.keepSnapshots = parseInt(process.env.KB_SNAPSHOTS) || 10;
+  }
+
+  // Opened on first use, so creating a DataProcessor doesn't touch the disk
+  open() {
+    if (!this.db) {
+      // Loaded lazily like pdf-parse, since it is a native module
+      const Database = require('better-sqlite3');
+      fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
+      this.db = new Database(this.dbFile);
+      // Readers in other processes keep working while processing writes
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+    }
+    return this.db;
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  getMeta(key) {
+    const row = this.open().prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  getMetadata() {
+    const rows = this.open().prepare('SELECT key, value FROM meta').all();
+    return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.value)]));
+  }
+
+  // Changes with every write; null until the first one
+  get version() {
+    return this.getMeta('version');
+  }
+
+  count() {
+    return this.open().prepare('SELECT COUNT(*) AS count FROM chunks').get().count;
+  }
+
+  // Replaces all chunks in one transaction and keeps them as a new snapshot. metadata is stored
+  // alongside (e.g. processor settings). Returns the new version.
+  replaceChunks(chunks, metadata = {}) {
+    const db = this.open();
+    const latest = db.prepare('SELECT MAX(version) AS version FROM snapshots').get().version;
+    // Versions are timestamps, but must stay unique when two writes land in the same millisecond
+    const version = Math.max(Date.now(), (latest || 0) + 1);
+    const createdAt = new Date(version).toISOString();
+    const manifest = { version, createdAt, metadata, ...buildManifest(chunks) };
+
+    const insertSnapshot = db.prepare('INSERT INTO snapshots (version, manifest) VALUES (?, ?)');
+    const insertChunk = db.prepare('INSERT INTO snapshot_chunks (version, position, chunk) VALUES (?, ?, ?)');
+
+    db.transaction(() => {
+      this.writeChunks(chunks, { ...metadata, version, updatedAt: createdAt });
+      insertSnapshot.run(version, JSON.stringify(manifest));
+      chunks.forEach((chunk, position) => insertChunk.run(version, position, JSON.stringify(chunk)));
+      this.pruneSnapshots(version);
+    })();
+
+    return version;
+  }
+
+  // Makes an earlier snapshot the current knowledge base again. This is a write like any other,
+  // with a new version (caches keyed by the version must not serve answers from the replaced one)
+  // and restoredFrom in its metadata. Returns the new version.
+  restoreSnapshot(version) {
+    const snapshot = this.getSnapshot(version);
+    if (!snapshot) {
+      throw new Error(`No knowledge base snapshot with version ${version}`);
+    }
+
+    const { restoredFrom, ...metadata } = snapshot.manifest.metadata;
+    return this.replaceChunks(snapshot.chunks, { ...metadata, restoredFrom: snapshot.version });
+  }
+
+  // Must run inside a transaction
+  writeChunks(chunks, meta) {
+    const db = this.open();
+    const insert = db.prepare(`
+      INSERT INTO chunks (url, title, source, heading_path, chunk_index, content, metadata)
+      VALUES (@url, @title, @source, @headingPath, @chunkIndex, @content, @metadata)
+    `);
+    const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+
+    db.prepare('DELETE FROM chunks').run();
+    db.prepare('DELETE FROM sources').run();
+    db.prepare('DELETE FROM meta').run();
+
+    for (const chunk of chunks) {
+      const rest = Object.fromEntries(Object.entries(chunk).filter(([key]) => !CHUNK_COLUMNS.includes(key)));
+      insert.run({
+        url: chunk.url,
+        title: chunk.title || null,
+        source: chunk.source || null,
+        headingPath: chunk.headingPath !== undefined ? chunk.headingPath : null,
+        chunkIndex: chunk.chunkIndex !== undefined ? chunk.chunkIndex : null,
+        content: chunk.content,
+        metadata: JSON.stringify(rest)
+      });
+    }
+    db.prepare(`INSERT INTO chunks_fts (chunks_fts) VALUES ('rebuild')`).run();
+
+    db.prepare(`
+      INSERT INTO sources (name, pages, chunks)
+      SELECT COALESCE(source, 'web'), COUNT(DISTINCT url), COUNT(*) FROM chunks GROUP BY COALESCE(source, 'web')
+    `).run();
+
+    for (const [key, value] of Object.entries(meta)) {
+      setMeta.run(key, JSON.stringify(value));
+    }
+
+    this.cache = { version: null, chunks: null };
+  }
+
+  // Drops all but the newest keepSnapshots snapshots, never the current one
+  pruneSnapshots(current) {
+    const db = this.open();
+    const stale = db.prepare('SELECT version FROM snapshots WHERE version != ? ORDER BY version DESC LIMIT -1 OFFSET ?')
+      .all(current, this.keepSnapshots)
+      .map(row => row.version);
+
+    for (const version of stale) {
+      db.prepare('DELETE FROM snapshot_chunks WHERE version = ?').run(version);
+      db.prepare('DELETE FROM snapshots WHERE version = ?').run(version);
+    }
+  }
+
+  // Manifests of the kept snapshots, newest first
+  listSnapshots() {
+    return this.open().prepare('SELECT manifest FROM snapshots ORDER BY version DESC').all()
+      .map(row => JSON.parse(row.manifest));
+  }
+
+  getSnapshot(version) {
+    const db = this.open();
+    const row = db.prepare('SELECT manifest FROM snapshots WHERE version = ?').get(version);
+    if (!row) {
+      return null;
+    }
+
+    const chunks = db.prepare('SELECT chunk FROM snapshot_chunks WHERE version = ? ORDER BY position').all(version)
+      .map(chunkRow => JSON.parse(chunkRow.chunk));
+    return { version, manifest: JSON.parse(row.manifest), chunks };
+  }
+
+  // All chunks in the order they were written (the embedding index relies on it)
+  getChunks() {
+    const version = this.version;
+    if (this.cache.version !== version || !this.cache.chunks) {
+      this.cache = {
+        version,
+        chunks: this.open().prepare('SELECT * FROM chunks ORDER BY id').all().map(rowToChunk)
+      };
+    }
+    return this.cache.chunks;
+  }
+
+  getSources() {
+    return this.open().prepare('SELECT name, pages, chunks FROM sources ORDER BY name').all();
+  }
+
+  // Full-text search ranked by FTS5's BM25; score is positive, higher is better
+  search(query, topK = 5) {
+    const match = toMatchQuery(query);
+    if (!match) {
+      return [];
+    }
+
+    const { title, headingPath, content } = FTS_WEIGHTS;
+    return this.open().prepare(`
+      SELECT chunks.*, bm25(chunks_fts, ${title}, ${headingPath}, ${content}) AS bm25_score
+      FROM chunks_fts JOIN chunks ON chunks.id = chunks_fts.rowid
+      WHERE chunks_fts MATCH ?
+      ORDER BY bm25_score
+      LIMIT ?
+    `).all(match, topK).map(row => ({ ...rowToChunk(row), score: -row.bm25_score }));
+  }
+}
+
+module.exports = KnowledgeStore;
+module.exports.toMatchQuery = toMatchQuery;
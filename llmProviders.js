@@ -0,0 +1,298 @@
+const { OpenAI } = require('openai');
+const { retryDelay, sleep } = require('./crawlQueue');
+
+// An exhausted quota or unpaid bill (429 insufficient_quota). The code can surface on several
+// properties depending on the SDK version. Other 429s are rate limits, which pass after a wait.
+function isQuotaError(error) {
+  return Boolean(
+    error && (
+      error.code === 'insufficient_quota' ||
+      error.error?.code === 'insufficient_quota' ||
+      error.type === 'insufficient_quota'
+    )
+  );
+}
+
+function isRateLimitError(error) {
+  return Boolean(error) && error.status === 429 && !isQuotaError(error);
+}
+
+// Retry-After of an API error; the SDK gives a Headers object, plain objects are accepted too
+function getRetryAfter(error) {
+  const headers = error.headers;
+  if (!headers) {
+    return null;
+  }
+  return typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+}
+
+// Chat provider backed by the OpenAI API
+class OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('OpenAI API key is required. Set OPENAI_API_KEY in .env file');
+    }
+    this.name = options.name || 'openai';
+    this.model = options.model || 'gpt-3.5-turbo';
+    // Not every OpenAI-compatible server understands stream_options
+    this.streamUsage = options.streamUsage !== undefined ? options.streamUsage : true;
+    // Rate-limited and failed (5xx) requests are retried with backoff; quota errors never are
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 1000;
+    this.client = options.client || new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL,
+      // Retries are done in create(), which tells rate limits from an exhausted quota
+      maxRetries: 0
+    });
+  }
+
+  async create(params) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.client.chat.completions.create(params);
+      } catch (error) {
+        const retryable = isRateLimitError(error) || error.status >= 500;
+        if (!retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+        const delay = retryDelay(attempt, getRetryAfter(error), this.retryBaseDelayMs);
+        console.log(`[LLM] ${this.name} returned ${error.status}, retrying in ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async chat({ messages, model, temperature = 0.7, maxTokens = 500, tools }) {
+    const response = await this.create({
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(tools && tools.length > 0 ? { tools } : {})
+    });
+
+    const message = response.choices[0].message;
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      })),
+      usage: response.usage,
+      model: response.model || model || this.model,
+      provider: this.name
+    };
+  }
+
+  // Streams the completion, calling onToken(delta) for each piece of text as it arrives.
+  // Tool calls arrive in fragments and are assembled by index.
+  async stream({ messages, model, temperature = 0.7, maxTokens = 500, tools }, onToken) {
+    const stream = await this.create({
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      ...(tools && tools.length > 0 ? { tools } : {}),
+      ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+    });
+
+    let content = '';
+    let usage;
+    let responseModel;
+    const toolCalls = [];
+
+    for await (const part of stream) {
+      responseModel = responseModel || part.model;
+      if (part.usage) {
+        usage = part.usage;
+      }
+
+      const delta = part.choices?.[0]?.delta || {};
+      for (const fragment of delta.tool_calls || []) {
+        const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', name: '', arguments: '' });
+        call.id = fragment.id || call.id;
+        call.name += fragment.function?.name || '';
+        call.arguments += fragment.function?.arguments || '';
+      }
+
+      if (delta.content) {
+        content += delta.content;
+        await onToken(delta.content);
+      }
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.filter(Boolean),
+      usage,
+      model: responseModel || model || this.model,
+      provider: this.name
+    };
+  }
+}
+
+// Any server speaking the OpenAI chat completions API (llama.cpp, vLLM, Ollama, ...)
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    if (!options.baseURL) {
+      throw new Error('A base URL is required for an OpenAI-compatible provider. Set LLM_BASE_URL in .env file');
+    }
+    super({
+      ...options,
+      name: options.name || 'openai-compatible',
+      // Local servers usually ignore the key, but the SDK insists on one
+      apiKey: options.apiKey || 'not-needed',
+      model: options.model || 'local-model',
+      streamUsage: options.streamUsage !== undefined ? options.streamUsage : false
+    });
+  }
+}
+
+// Scripted provider for tests and offline runs. Each response can be a string,
+// an { content, toolCalls, usage } object, an Error (thrown), or a function receiving the request.
+class MockProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.model = options.model || 'mock';
+    this.responses = [...(options.responses || [])];
+    this.calls = [];
+  }
+
+  defaultReply(request) {
+    const lastMessage = request.messages[request.messages.length - 1];
+    return `Mock answer to: ${lastMessage ? lastMessage.content.split('\n').pop() : ''}`;
+  }
+
+  async chat(request) {
+    this.calls.push(request);
+
+    let response = this.responses.length > 0 ? this.responses.shift() : this.defaultReply(request);
+    if (typeof response === 'function') {
+      response = await response(request);
+    }
+    if (response instanceof Error) {
+      throw response;
+    }
+    if (typeof response === 'string') {
+      response = { content: response };
+    }
+
+    return {
+      content: '',
+      toolCalls: [],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      model: request.model || this.model,
+      provider: this.name,
+      ...response
+    };
+  }
+
+  // Replays the scripted response word by word
+  async stream(request, onToken) {
+    const response = await this.chat(request);
+    const pieces = response.content.match(/\S+\s*/g) || [];
+
+    for (const piece of pieces) {
+      await onToken(piece);
+    }
+
+    return response;
+  }
+}
+
+// Uses the secondary provider when the primary one is out of quota
+class FallbackProvider {
+  constructor(primary, secondary) {
+    this.primary = primary;
+    this.secondary = secondary;
+    this.name = `${primary.name}+${secondary.name}`;
+    this.model = primary.model;
+  }
+
+  async chat(request) {
+    try {
+      return await this.primary.chat(request);
+    } catch (error) {
+      if (!isQuotaError(error)) {
+        throw error;
+      }
+      console.log(`[LLM] ${this.primary.name} quota exceeded, falling back to ${this.secondary.name}`);
+      // The requested model belongs to the primary provider
+      return this.secondary.chat({ ...request, model: undefined });
+    }
+  }
+
+  async stream(request, onToken) {
+    try {
+      return await this.primary.stream(request, onToken);
+    } catch (error) {
+      // Quota errors are raised before any token is streamed, so it is safe to start over
+      if (!isQuotaError(error)) {
+        throw error;
+      }
+      console.log(`[LLM] ${this.primary.name} quota exceeded, falling back to ${this.secondary.name}`);
+      return this.secondary.stream({ ...request, model: undefined }, onToken);
+    }
+  }
+}
+
+function createProvider(config) {
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAIProvider(config);
+
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(config);
+
+    case 'mock':
+      return new MockProvider(config);
+
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
+
+// Reads provider settings from the environment. apiKey is used when LLM_API_KEY is not set.
+function loadLLMConfig(env = process.env, defaults = {}) {
+  const config = {
+    provider: env.LLM_PROVIDER || 'openai',
+    model: env.LLM_MODEL,
+    baseURL: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || defaults.apiKey || env.OPENAI_API_KEY
+  };
+
+  if (env.LLM_FALLBACK_PROVIDER) {
+    config.fallback = {
+      provider: env.LLM_FALLBACK_PROVIDER,
+      model: env.LLM_FALLBACK_MODEL,
+      baseURL: env.LLM_FALLBACK_BASE_URL,
+      apiKey: env.LLM_FALLBACK_API_KEY || (env.LLM_FALLBACK_PROVIDER === 'openai' ? env.OPENAI_API_KEY : undefined)
+    };
+  }
+
+  return config;
+}
+
+function createLLMProvider(config = loadLLMConfig()) {
+  const primary = createProvider(config);
+
+  if (config.fallback) {
+    return new FallbackProvider(primary, createProvider(config.fallback));
+  }
+
+  return primary;
+}
+
+module.exports = {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  FallbackProvider,
+  createLLMProvider,
+  loadLLMConfig,
+  isQuotaError,
+  isRateLimitError
+};
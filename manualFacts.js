@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { countTokens } = require('./tokenizer');
+
+// Facts maintained by hand, for things the scraped pages get wrong or don't say clearly.
+// Stored in data/manual_facts.json and managed from Telegram (/teach, /facts, /forget).
+// The file is re-read whenever it changes, so edits apply without a restart.
+// Pinned facts go into every system prompt; the others are retrieved like any other chunk.
+
+// Written to a new store the first time it is loaded
+const DEFAULT_FACTS = [
+  {
+    title: 'PepuScan - Pepe Unchained Block Explorer',
+    url: 'https://pepuscan.com',
+    text: 'PepuScan is the official block explorer for Pepe Unchained. You can use PepuScan (pepuscan.com) to view transactions, blocks, addresses, smart contracts, and all on-chain activity on the Pepe Unchained network. It works similar to Etherscan but for the Pepe Unchained Layer 2 blockchain. You can search for transaction hashes, wallet addresses, contract addresses, and block numbers to see detailed information about network activity.'
+  },
+  {
+    title: 'Pepe Unchained Key Information',
+    url: 'https://pepeunchained.com',
+    text: 'Pepe Unchained is an EVM-compatible Layer 2 blockchain built on Ethereum. Key features: Very low gas fees compared to Ethereum mainnet, fast transaction speeds, supports all Ethereum tools and wallets like MetaMask. PEPU is the native token. The network has a DEX for trading, bridge functionality to move assets between Ethereum and Pepe Unchained, staking capabilities for PEPU tokens, and PepuScan block explorer for viewing on-chain data.'
+  },
+  {
+    title: 'Pump Pad - Launch Your Meme Coin',
+    url: 'https://pepeunchained.com',
+    text: 'Pump Pad is a platform on Pepe Unchained that allows users to launch their own meme coins. It is part of the Pepe Unchained ecosystem and integrates with the Layer 2 blockchain infrastructure. Pump Pad enables creators to launch meme coins on the Pepe Unchained network, taking advantage of the low gas fees and fast transaction speeds. It is featured on the main Pepe Unchained website as one of the key products in the ecosystem.'
+  },
+  { pinned: true, text: 'Pepe Unchained is an EVM (Ethereum Virtual Machine) compatible Layer 2 (L2) blockchain' },
+  { pinned: true, text: 'It has very low transaction fees compared to Ethereum mainnet' },
+  { pinned: true, text: 'It has fast transaction speeds' },
+  { pinned: true, text: 'PEPU is the native token of the Pepe Unchained network' },
+  { pinned: true, text: 'The network is designed for scalability and cost efficiency' },
+  { pinned: true, text: 'Block Explorer: PepuScan (pepuscan.com) - use it to view transactions, blocks, addresses, and smart contracts on Pepe Unchained' },
+  { pinned: true, text: 'DEX: Customized Layer 2 DEX similar to Uniswap for trading on Pepe Unchained' },
+  { pinned: true, text: 'Bridge: Users can bridge assets to/from Ethereum mainnet to Pepe Unchained' },
+  { pinned: true, text: 'Staking: PEPU tokens can be staked for rewards' },
+  { pinned: true, text: 'The network supports all standard Ethereum tools and wallets (MetaMask, etc.)' }
+];
+
+const SYSTEM_AUTHOR = { id: null, name: 'system' };
+
+class ManualFactsStore {
+  constructor(options = {}) {
+    this.factsFile = options.factsFile || path.join(__dirname, 'data', 'manual_facts.json');
+    this.defaults = options.defaults || DEFAULT_FACTS;
+    this.data = null;
+    this.loadedMtime = null;
+  }
+
+  // Changes whenever the facts do; part of the answer cache's knowledge base version
+  get version() {
+    return this.loadedMtime;
+  }
+
+  async load() {
+    let stats;
+    try {
+      stats = await fs.stat(this.factsFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      await this.seed();
+      return this.data;
+    }
+
+    if (!this.data || stats.mtimeMs !== this.loadedMtime) {
+      try {
+        this.data = JSON.parse(await fs.readFile(this.factsFile, 'utf-8'));
+        this.loadedMtime = stats.mtimeMs;
+      } catch (error) {
+        // A half-edited file keeps the facts that were loaded last
+        console.error('Error loading manual facts:', error.message);
+        this.data = this.data || { nextId: 1, facts: [] };
+      }
+    }
+    return this.data;
+  }
+
+  async seed() {
+    const now = new Date().toISOString();
+    this.data = { nextId: 1, facts: [] };
+    for (const fact of this.defaults) {
+      this.data.facts.push(this.createFact(fact, SYSTEM_AUTHOR, now));
+    }
+    await this.save();
+    console.log(`Created ${this.factsFile} with ${this.data.facts.length} default facts`);
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.factsFile), { recursive: true });
+    await fs.writeFile(this.factsFile, JSON.stringify(this.data, null, 2));
+    this.loadedMtime = (await fs.stat(this.factsFile)).mtimeMs;
+  }
+
+  createFact({ text, title = null, url = null, pinned = false }, author, now) {
+    return {
+      id: `f${this.data.nextId++}`,
+      text,
+      title,
+      url,
+      pinned,
+      author,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  async list() {
+    return (await this.load()).facts;
+  }
+
+  // author is { id, name } of whoever taught the fact
+  async add(fact, author = SYSTEM_AUTHOR) {
+    const text = (fact.text || '').trim();
+    if (!text) {
+      throw new Error('A fact needs some text');
+    }
+
+    await this.load();
+    const created = this.createFact({ ...fact, text }, author, new Date().toISOString());
+    this.data.facts.push(created);
+    await this.save();
+    return created;
+  }
+
+  // Resolves to the removed fact, or null if there is no fact with that ID
+  async remove(id) {
+    await this.load();
+    const fact = this.data.facts.find(f => f.id === id);
+    if (!fact) {
+      return null;
+    }
+
+    this.data.facts = this.data.facts.filter(f => f.id !== id);
+    await this.save();
+    return fact;
+  }
+
+  async getPinnedTexts() {
+    return (await this.list()).filter(fact => fact.pinned).map(fact => fact.text);
+  }
+
+  // Unpinned facts in the shape of processed chunks, so they can be searched and cited alongside them
+  // (pinned ones are in the prompt already; options.includePinned adds them, e.g. for exports).
+  // Facts without a URL get a manual: one, which citations show without a link.
+  async getChunks(options = {}) {
+    return (await this.list()).filter(fact => options.includePinned || !fact.pinned).map(fact => ({
+      url: fact.url || `manual:${fact.id}`,
+      title: fact.title || 'Pepe Unchained facts',
+      source: 'manual',
+      factId: fact.id,
+      content: fact.text,
+      contentLength: fact.text.length,
+      tokenCount: countTokens(fact.text),
+      chunkIndex: 0,
+      totalChunks: 1,
+      scrapedAt: fact.updatedAt
+    }));
+  }
+}
+
+module.exports = ManualFactsStore;
+module.exports.DEFAULT_FACTS = DEFAULT_FACTS;
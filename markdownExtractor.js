@@ -0,0 +1,195 @@
+// Converts page HTML to Markdown, keeping headings, lists, tables and code blocks
+// so the processor can chunk by section
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const BLOCK_TAGS = new Set([
+  ...HEADING_TAGS, 'p', 'div', 'section', 'article', 'main', 'aside', 'header', 'footer', 'nav',
+  'blockquote', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'pre', 'hr',
+  'figure', 'figcaption', 'dl', 'dt', 'dd', 'form', 'details', 'summary'
+]);
+
+class MarkdownConverter {
+  constructor($) {
+    this.$ = $;
+  }
+
+  convert(root) {
+    return this.renderChildren(root)
+      .join('\n\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  isBlock(node) {
+    return node.type === 'tag' && BLOCK_TAGS.has(node.name);
+  }
+
+  // Renders a mix of inline content and block elements into a list of Markdown blocks
+  renderChildren(node) {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+      const text = this.collapse(inline.join(''));
+      if (text) {
+        blocks.push(text);
+      }
+      inline = [];
+    };
+
+    for (const child of this.$(node).contents().toArray()) {
+      if (this.isBlock(child)) {
+        flushInline();
+        blocks.push(...this.renderBlock(child));
+      } else {
+        inline.push(this.renderInline(child));
+      }
+    }
+    flushInline();
+
+    return blocks.filter(block => block.trim());
+  }
+
+  renderBlock(el) {
+    const name = el.name;
+
+    if (HEADING_TAGS.includes(name)) {
+      const text = this.collapse(this.renderInline(el)).replace(/\n/g, ' ');
+      return text ? [`${'#'.repeat(parseInt(name[1], 10))} ${text}`] : [];
+    }
+
+    switch (name) {
+      case 'p':
+      case 'dt':
+      case 'dd':
+      case 'figcaption':
+      case 'summary': {
+        const text = this.collapse(this.renderInline(el));
+        return text ? [text] : [];
+      }
+
+      case 'ul':
+      case 'ol':
+        return [this.renderList(el, 0)].filter(Boolean);
+
+      case 'table':
+        return [this.renderTable(el)].filter(Boolean);
+
+      case 'pre': {
+        const code = this.$(el).text().replace(/\n+$/, '');
+        return code.trim() ? ['```\n' + code + '\n```'] : [];
+      }
+
+      case 'blockquote':
+        return [this.renderChildren(el).join('\n\n').split('\n').map(line => `> ${line}`).join('\n')];
+
+      case 'hr':
+        return [];
+
+      default:
+        // Generic containers (div, section, ...) just contribute their children
+        return this.renderChildren(el);
+    }
+  }
+
+  // Line wraps in the HTML source are just whitespace; only <br> makes a line break
+  renderInline(node) {
+    if (node.type === 'text') {
+      return node.data.replace(/\s+/g, ' ');
+    }
+    if (node.type !== 'tag') {
+      return '';
+    }
+
+    const inner = () => this.$(node).contents().toArray().map(child => this.renderInline(child)).join('');
+
+    switch (node.name) {
+      case 'br':
+        return '\n';
+      case 'code':
+        return '`' + this.$(node).text().replace(/\s+/g, ' ') + '`';
+      case 'strong':
+      case 'b': {
+        const text = inner().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'img':
+        return '';
+      default:
+        // Block elements nested in inline context still need a separator
+        return this.isBlock(node) ? ` ${inner()} ` : inner();
+    }
+  }
+
+  renderList(el, depth) {
+    const $ = this.$;
+    const ordered = el.name === 'ol';
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    $(el).children('li').each((index, li) => {
+      const nested = [];
+      const own = [];
+
+      for (const child of $(li).contents().toArray()) {
+        if (child.type === 'tag' && (child.name === 'ul' || child.name === 'ol')) {
+          nested.push(this.renderList(child, depth + 1));
+        } else {
+          own.push(this.renderInline(child));
+        }
+      }
+
+      const marker = ordered ? `${index + 1}.` : '-';
+      // Lines after a <br> are indented past the marker to stay part of the item
+      const text = this.collapse(own.join('')).replace(/\n/g, `\n${indent}${' '.repeat(marker.length + 1)}`);
+      if (text) {
+        lines.push(`${indent}${marker} ${text}`);
+      }
+      lines.push(...nested.filter(Boolean));
+    });
+
+    return lines.join('\n');
+  }
+
+  renderTable(el) {
+    const $ = this.$;
+    const rows = $(el).find('tr').toArray().map(tr =>
+      $(tr).children('th, td').toArray().map(cell =>
+        this.collapse(this.renderInline(cell)).replace(/\n/g, ' ').replace(/\|/g, '\\|')
+      )
+    ).filter(cells => cells.length > 0);
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const pad = cells => [...cells, ...new Array(width - cells.length).fill('')];
+    const line = cells => `| ${pad(cells).join(' | ')} |`;
+
+    return [
+      line(rows[0]),
+      line(new Array(width).fill('---')),
+      ...rows.slice(1).map(line)
+    ].join('\n');
+  }
+
+  // Collapses whitespace within lines but keeps the line breaks from <br>
+  collapse(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n')
+      .trim();
+  }
+}
+
+function htmlToMarkdown($, root) {
+  return new MarkdownConverter($).convert(root);
+}
+
+module.exports = {
+  MarkdownConverter,
+  htmlToMarkdown
+};
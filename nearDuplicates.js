@@ -0,0 +1,152 @@
+// Near-duplicate chunk detection with MinHash. Chunks are compared by the word 3-grams they share
+// (Jaccard similarity); locality-sensitive hashing over signature bands finds candidate pairs
+// without comparing every chunk with every other one.
+
+const SHINGLE_SIZE = 3;
+
+// MurmurHash3 finalizer: a cheap, well-mixed 32-bit hash
+function mix(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function shingles(text) {
+  const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}$%.]+/u).filter(Boolean);
+  if (words.length < SHINGLE_SIZE) {
+    return new Set(words.length > 0 ? [words.join(' ')] : []);
+  }
+
+  const result = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+}
+
+// One minimum per seeded hash function; the share of equal positions estimates the Jaccard similarity
+function minhashSignature(text, numHashes = 64) {
+  const hashes = [...shingles(text)].map(hashString);
+  const signature = new Array(numHashes).fill(0xffffffff);
+
+  for (const hash of hashes) {
+    for (let i = 0; i < numHashes; i++) {
+      const value = mix(hash ^ mix(i + 1));
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  }
+
+  return signature;
+}
+
+function estimateSimilarity(a, b) {
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) {
+      equal++;
+    }
+  }
+  return equal / a.length;
+}
+
+// Groups near-duplicate chunks and keeps one canonical chunk per group: the longest, and the
+// earliest of equally long ones. The others are dropped and listed in the canonical chunk's
+// `aliases`. Chunks for which skip(chunk) is true (e.g. manual entries) are left alone.
+function dedupeChunks(chunks, options = {}) {
+  const {
+    threshold = 0.8,
+    numHashes = 64,
+    bands = 16,
+    skip = () => false
+  } = options;
+  const rows = numHashes / bands;
+
+  const signatures = chunks.map(chunk => skip(chunk) || !chunk.content ? null : minhashSignature(chunk.content, numHashes));
+
+  // Union-find over chunk positions
+  const parent = chunks.map((chunk, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const buckets = new Map();
+  signatures.forEach((signature, i) => {
+    if (!signature) {
+      return;
+    }
+    for (let band = 0; band < bands; band++) {
+      const key = `${band}:${signature.slice(band * rows, (band + 1) * rows).join(',')}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(i);
+    }
+  });
+
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const [i, j] = [members[x], members[y]];
+        const pair = `${i}:${j}`;
+        if (compared.has(pair) || find(i) === find(j)) {
+          continue;
+        }
+        compared.add(pair);
+        if (estimateSimilarity(signatures[i], signatures[j]) >= threshold) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  chunks.forEach((chunk, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(i);
+  });
+
+  const kept = new Map();  // position -> chunk with aliases
+  let duplicates = 0;
+  for (const members of groups.values()) {
+    const canonical = members.reduce((best, i) =>
+      chunks[i].content.length > chunks[best].content.length ? i : best);
+    const aliases = members
+      .filter(i => i !== canonical)
+      .map(i => ({ url: chunks[i].url, title: chunks[i].title, chunkIndex: chunks[i].chunkIndex, source: chunks[i].source }));
+
+    // Aliases from an earlier run are recomputed
+    const chunk = { ...chunks[canonical] };
+    delete chunk.aliases;
+    kept.set(canonical, aliases.length > 0 ? { ...chunk, aliases } : chunk);
+    duplicates += aliases.length;
+  }
+
+  return {
+    chunks: chunks.map((chunk, i) => kept.get(i)).filter(Boolean),
+    duplicates
+  };
+}
+
+module.exports = {
+  shingles,
+  minhashSignature,
+  estimateSimilarity,
+  dedupeChunks
+};
@@ -0,0 +1,66 @@
+const { tokenize } = require('./bm25');
+
+// Identifies a chunk across result lists (manual entries can share a URL, so the title is included)
+function chunkKey(chunk) {
+  return `${chunk.url}#${chunk.chunkIndex}#${chunk.title || ''}`;
+}
+
+// Reciprocal rank fusion: each list contributes 1 / (k + rank) for every chunk it ranks.
+// lists is an object of { name: rankedChunks }, so per-list scores are kept for debugging.
+function reciprocalRankFusion(lists, k = 60) {
+  const fused = new Map();
+
+  for (const [name, chunks] of Object.entries(lists)) {
+    chunks.forEach((chunk, rank) => {
+      const key = chunkKey(chunk);
+      if (!fused.has(key)) {
+        const { score, ...rest } = chunk;
+        fused.set(key, { ...rest, scores: { fused: 0 } });
+      }
+
+      const entry = fused.get(key);
+      entry.scores[name] = chunk.score;
+      entry.scores.fused += 1 / (k + rank + 1);
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.scores.fused - a.scores.fused);
+}
+
+// Scores each candidate on an absolute 0-1 scale so a relevance threshold can be applied:
+// how many of the query terms the chunk covers, blended with semantic similarity when available.
+class HeuristicReranker {
+  constructor(options = {}) {
+    this.semanticWeight = options.semanticWeight !== undefined ? options.semanticWeight : 0.4;
+  }
+
+  async rerank(query, candidates, options = {}) {
+    // When semantic search ran, a chunk missing from its candidates counts as dissimilar
+    const { semanticAvailable = false } = options;
+    const queryTerms = [...new Set(tokenize(query))];
+
+    return candidates.map(candidate => {
+      const chunkTerms = new Set(tokenize(`${candidate.title || ''} ${candidate.content}`));
+      const coverage = queryTerms.length > 0
+        ? queryTerms.filter(term => chunkTerms.has(term)).length / queryTerms.length
+        : 0;
+
+      let rerank = coverage;
+      if (semanticAvailable) {
+        const semantic = Math.max(0, candidate.scores.semantic || 0);
+        rerank = (1 - this.semanticWeight) * coverage + this.semanticWeight * semantic;
+      }
+
+      return {
+        ...candidate,
+        scores: { ...candidate.scores, rerank: Number(rerank.toFixed(4)) }
+      };
+    });
+  }
+}
+
+module.exports = {
+  chunkKey,
+  reciprocalRankFusion,
+  HeuristicReranker
+};
@@ -0,0 +1,118 @@
+// robots.txt parsing: user-agent groups, Allow/Disallow with * and $ wildcards
+// (longest match wins, Allow wins ties), Crawl-delay and Sitemap lines
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+class RobotsRules {
+  constructor(rules = [], crawlDelay = null, sitemaps = []) {
+    this.rules = rules;  // [{ type: 'allow' | 'disallow', pattern, regex }]
+    this.crawlDelay = crawlDelay;  // seconds
+    this.sitemaps = sitemaps;
+  }
+
+  static parse(text, userAgent = '*') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        continue;
+      }
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        // Sitemap lines apply to the whole file, not to a group
+        if (value) {
+          sitemaps.push(value);
+        }
+        continue;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+      if (!current) {
+        continue;
+      }
+
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow means everything is allowed
+        if (value) {
+          current.rules.push({ type: field, pattern: value, regex: patternToRegExp(value) });
+        }
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay)) {
+          current.crawlDelay = delay;
+        }
+      }
+    }
+
+    // The group naming our agent takes precedence over the * group
+    const agent = userAgent.toLowerCase();
+    const matching = groups.filter(group => group.agents.some(a => a !== '*' && agent.includes(a)));
+    const selected = matching.length > 0 ? matching : groups.filter(group => group.agents.includes('*'));
+
+    const rules = selected.flatMap(group => group.rules);
+    const delays = selected.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return new RobotsRules(rules, delays.length > 0 ? Math.max(...delays) : null, sitemaps);
+  }
+
+  // Returns the matching rule too, so callers can report why a URL was skipped. Canonical URLs
+  // have no trailing slash (see urlUtils.js), so /private is also checked as /private/: the page
+  // may have been linked with the slash, and "Disallow: /private/" must still block it.
+  check(url) {
+    const { pathname, search } = new URL(url);
+    const results = [this.checkPath(pathname + search)];
+    if (!pathname.endsWith('/')) {
+      results.push(this.checkPath(`${pathname}/${search}`));
+    }
+    return results.find(result => !result.allowed) || results[0];
+  }
+
+  checkPath(target) {
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (!rule.regex.test(target)) {
+        continue;
+      }
+      if (!best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.type === 'allow')) {
+        best = rule;
+      }
+    }
+
+    return { allowed: !best || best.type === 'allow', rule: best };
+  }
+
+  isAllowed(url) {
+    return this.check(url).allowed;
+  }
+}
+
+module.exports = RobotsRules;
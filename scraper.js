@@ -1,13 +1,50 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const RobotsRules = require('./robots');
+const SitemapLoader = require('./sitemap');
+const CrawlQueue = require('./crawlQueue');
+const { retryDelay, sleep } = require('./crawlQueue');
+const { htmlToMarkdown } = require('./markdownExtractor');
+const SourceRegistry = require('./sourceRegistry');
+const { canonicalizeUrl } = require('./urlUtils');
+const { extractStructuredData, mergeStructuredContent } = require('./structuredData');
+const { version } = require('./package.json');
 
 class WebScraper {
   constructor() {
-    this.baseUrl = 'https://pepeunchained.com';
-    this.guideUrl = 'https://guide.pepeunchained.com';
+    // Sites to crawl come from sources.json
+    this.registry = new SourceRegistry();
     this.dataDir = path.join(__dirname, 'data');
+    // Name matched against User-agent groups in robots.txt, and announced in the User-Agent header
+    // with a URL site owners can check (SCRAPER_CONTACT_URL), so the rules we obey are the ones
+    // written for the agent they see
+    this.robotsUserAgent = 'PepuAIBot';
+    this.contactUrl = process.env.SCRAPER_CONTACT_URL || 'https://pepeunchained.com';
+    this.userAgent = `Mozilla/5.0 (compatible; ${this.robotsUserAgent}/${version}; +${this.contactUrl})`;
+    // Spacing between requests to the same host, and parallel requests per host
+    this.minDelayMs = 1000;
+    this.concurrency = parseInt(process.env.SCRAPE_CONCURRENCY) || 2;
+    this.maxRetries = 3;
+    // Pages with less visible text than this are flagged; their content may only render with JavaScript
+    this.shortTextThreshold = parseInt(process.env.SHORT_TEXT_THRESHOLD) || 200;
+    // In-progress crawls are saved here so an interrupted scrape can resume
+    this.progressFile = path.join(this.dataDir, 'crawl_progress.json');
+    this.progress = { sites: {} };
+    this.savingProgress = Promise.resolve();
+    // Per-site crawl report: which sitemap URLs were skipped and why
+    this.crawlReports = [];
+    // Validators, content hashes and status per URL, kept between runs for incremental scraping
+    this.stateFile = path.join(this.dataDir, 'scrape_state.json');
+    this.outputFile = path.join(this.dataDir, 'scraped_content.json');
+    // Where this run writes the state and pages; scrapeAll() can point them at temp files
+    this.stateTarget = this.stateFile;
+    this.state = { pages: {} };
+    this.previousPages = new Map();
+    this.goneUrls = new Set();
+    this.runSummary = { added: [], changed: [], unchanged: [], removed: [], failed: [] };
   }
 
   async ensureDataDirectory() {
@@ -18,75 +55,307 @@ class WebScraper {
     }
   }
 
-  async fetchPage(url) {
+  // Sends a conditional request when validators from a previous run are given.
+  // Resolves to { status, html, etag, lastModified }; html is null for 304 and errors.
+  async fetchPage(url, validators = {}) {
+    const headers = {
+      'User-Agent': this.userAgent
+    };
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        console.log(`Fetching: ${url}`);
+        const response = await axios.get(url, {
+          headers,
+          timeout: 30000,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+        return {
+          status: response.status,
+          html: response.status === 304 ? null : response.data,
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null
+        };
+      } catch (error) {
+        const status = error.response?.status || null;
+        // Rate limiting, server errors and network failures are worth retrying; other 4xx are not
+        const retryable = status === null || status === 429 || status >= 500;
+
+        if (retryable && attempt < this.maxRetries) {
+          const delay = retryDelay(attempt, error.response?.headers?.['retry-after'], this.minDelayMs);
+          console.log(`Retrying ${url} in ${Math.round(delay / 1000)}s (${status || error.message})`);
+          await sleep(delay);
+          continue;
+        }
+
+        console.error(`Error fetching ${url}:`, error.message);
+        return { status, html: null };
+      }
+    }
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex');
+  }
+
+  async loadState() {
+    try {
+      this.state = JSON.parse(await fs.readFile(this.stateFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading scrape state:', error.message);
+      }
+      this.state = { pages: {} };
+    }
+
+    // Pages stored before URLs were canonicalized move to their canonical URL
+    const pages = {};
+    for (const [url, pageState] of Object.entries(this.state.pages)) {
+      pages[canonicalizeUrl(url) || url] = pageState;
+    }
+    this.state.pages = pages;
+
+    // Unchanged (304) pages reuse their content from the previous run
+    try {
+      const previous = JSON.parse(await fs.readFile(this.outputFile, 'utf-8'));
+      this.previousPages = new Map(previous.map(page => {
+        const url = canonicalizeUrl(page.url) || page.url;
+        return [url, { ...page, url }];
+      }));
+    } catch (error) {
+      this.previousPages = new Map();
+    }
+  }
+
+  async saveState() {
+    await fs.writeFile(this.stateTarget, JSON.stringify(this.state, null, 2));
+  }
+
+  async loadProgress() {
+    try {
+      this.progress = JSON.parse(await fs.readFile(this.progressFile, 'utf-8'));
+    } catch (error) {
+      this.progress = { sites: {} };
+    }
+    // The run summary so far belongs to the interrupted run
+    if (this.progress.runSummary) {
+      this.runSummary = this.progress.runSummary;
+    }
+  }
+
+  // Saves progress together with the scrape state, so a resumed crawl classifies pages correctly.
+  // Writes are chained because pages finish concurrently.
+  saveProgress() {
+    this.progress.runSummary = this.runSummary;
+    this.savingProgress = this.savingProgress
+      .then(() => fs.writeFile(this.progressFile, JSON.stringify(this.progress)))
+      .then(() => this.saveState())
+      .catch(error => console.error('Error saving crawl progress:', error.message));
+    return this.savingProgress;
+  }
+
+  async clearProgress() {
+    await this.savingProgress;
+    await fs.rm(this.progressFile, { force: true });
+  }
+
+  // Updates the stored state for a scraped page and classifies it as added, changed or unchanged.
+  // Only pages that make it into the output are recorded, so pages fetched past the page limit
+  // don't become known pages that the next recheck fetches anyway.
+  recordPage(pageData) {
+    const fetchResult = pageData.validators || {};
+    const now = new Date().toISOString();
+    const previous = this.state.pages[pageData.url];
+    let change = 'added';
+
+    if (previous && previous.status !== 'removed') {
+      change = previous.contentHash === pageData.contentHash ? 'unchanged' : 'changed';
+    }
+
+    this.state.pages[pageData.url] = {
+      status: 'active',
+      etag: fetchResult.etag || previous?.etag || null,
+      lastModified: fetchResult.lastModified || previous?.lastModified || null,
+      contentHash: pageData.contentHash,
+      links: pageData.links,
+      firstSeenAt: previous?.firstSeenAt || now,
+      lastSeenAt: now,
+      lastChangedAt: change === 'unchanged' ? previous.lastChangedAt : now
+    };
+
+    this.runSummary[change].push(pageData.url);
+    return change;
+  }
+
+  // Fetches robots.txt and sitemaps; a missing file is normal, so 404s aren't logged as errors
+  async fetchRaw(url) {
     try {
-      console.log(`Fetching: ${url}`);
       const response = await axios.get(url, {
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+          'User-Agent': this.userAgent
         },
+        responseType: 'arraybuffer',
         timeout: 30000
       });
-      return response.data;
+      return Buffer.from(response.data);
     } catch (error) {
-      console.error(`Error fetching ${url}:`, error.message);
+      if (error.response?.status !== 404) {
+        console.error(`Error fetching ${url}:`, error.message);
+      }
       return null;
     }
   }
 
-  async extractLinks($, baseUrl) {
+  async loadRobots(baseUrl) {
+    const robotsUrl = new URL('/robots.txt', baseUrl).href;
+    const body = await this.fetchRaw(robotsUrl);
+
+    if (!body) {
+      console.log(`No robots.txt found at ${robotsUrl}, all pages allowed`);
+      return new RobotsRules();
+    }
+
+    const robots = RobotsRules.parse(body.toString('utf-8'), this.robotsUserAgent);
+    console.log(`Loaded robots.txt: ${robots.rules.length} rules, crawl-delay ${robots.crawlDelay ?? 'none'}, ${robots.sitemaps.length} sitemaps`);
+    return robots;
+  }
+
+  async loadSitemapUrls(baseUrl, robots, report, source) {
+    // Sitemaps listed in robots.txt, or the conventional location
+    const sitemapUrls = robots.sitemaps.length > 0
+      ? robots.sitemaps
+      : [new URL('/sitemap.xml', baseUrl).href];
+
+    const loader = new SitemapLoader(url => this.fetchRaw(url));
+    const { entries, errors } = await loader.load(sitemapUrls);
+    report.sitemapErrors.push(...errors);
+
+    const host = new URL(baseUrl).host;
+    const urls = [];
+
+    for (const sitemapEntry of entries) {
+      const entry = { ...sitemapEntry, url: canonicalizeUrl(sitemapEntry.url, { base: baseUrl }) || sitemapEntry.url };
+      let reason = null;
+      try {
+        if (new URL(entry.url).host !== host) {
+          reason = 'different host';
+        } else if (!this.registry.matches(source, entry.url)) {
+          reason = `outside source "${source.name}" (include/exclude patterns)`;
+        } else if (!robots.isAllowed(entry.url)) {
+          reason = `disallowed by robots.txt (${robots.check(entry.url).rule.pattern})`;
+        } else if (urls.includes(entry.url)) {
+          reason = 'duplicate entry';
+        }
+      } catch (error) {
+        reason = 'invalid URL';
+      }
+
+      if (reason) {
+        report.skipped.push({ url: entry.url, sitemap: entry.sitemap, reason });
+      } else {
+        urls.push(entry.url);
+      }
+    }
+
+    console.log(`Found ${entries.length} URLs in sitemaps, ${urls.length} to crawl`);
+    return urls;
+  }
+
+  async extractLinks($, baseUrl, pageUrl = baseUrl) {
     const links = new Set();
+    const host = new URL(baseUrl).host;
     $('a[href]').each((i, elem) => {
-      let href = $(elem).attr('href');
-      if (href) {
-        // Convert relative URLs to absolute
-        if (href.startsWith('/')) {
-          href = new URL(href, baseUrl).href;
-        } else if (href.startsWith('./') || !href.startsWith('http')) {
-          href = new URL(href, baseUrl).href;
-        }
-        // Only include links from the same domain
-        if (href.includes(baseUrl)) {
-          links.add(href);
-        }
+      // Relative links resolve against the page; ?ref=, #anchor and similar variants collapse into one URL
+      const href = canonicalizeUrl($(elem).attr('href'), { base: pageUrl });
+      // Only include links from the same domain
+      if (href && new URL(href).host === host) {
+        links.add(href);
       }
     });
     return Array.from(links);
   }
 
-  async scrapePage(url, visited = new Set()) {
+  // source supplies the content selectors and the label stored on the page
+  async scrapePage(url, visited = new Set(), baseUrl = url, source = null) {
     if (visited.has(url)) {
       return null;
     }
     visited.add(url);
 
-    const html = await this.fetchPage(url);
-    if (!html) {
+    const previousState = this.state.pages[url];
+    const previousPage = this.previousPages.get(url);
+    // Only ask for a 304 when we still have the content to fall back on
+    const validators = previousState && previousPage ? previousState : {};
+    const result = await this.fetchPage(url, validators);
+
+    if (result.status === 304) {
+      const pageData = {
+        ...previousPage,
+        source: source ? source.name : previousPage.source,
+        links: previousState.links || [],
+        validators: { etag: result.etag, lastModified: result.lastModified },
+        checkedAt: new Date().toISOString()
+      };
+      return pageData;
+    }
+
+    if (!result.html) {
+      if (result.status === 404 || result.status === 410) {
+        this.goneUrls.add(url);
+      }
       return null;
     }
 
-    const $ = cheerio.load(html);
+    const $ = cheerio.load(result.html);
+
+    // Collect links before navigation is stripped, so the crawl can still follow them
+    const links = await this.extractLinks($, baseUrl, url);
     
+    // JSON-LD, hydration payloads and meta descriptions live in <script> and <meta> tags
+    const structured = extractStructuredData($);
+
     // Remove script and style tags
     $('script, style, nav, footer, header').remove();
     
     // Extract main content
-    const title = $('title').text().trim() || $('h1').first().text().trim();
-    const content = this.extractTextContent($);
+    const title = $('title').text().trim() || $('h1').first().text().trim() || structured.meta.ogTitle;
+    const visibleContent = this.extractTextContent($, source ? source.contentSelectors : []);
+    const content = mergeStructuredContent(visibleContent, structured);
+    const contentHash = this.hashContent(content);
+    const now = new Date().toISOString();
     
     const pageData = {
       url,
       title,
+      source: source ? source.name : null,
+      description: structured.meta.description || null,
       content,
-      scrapedAt: new Date().toISOString()
+      contentHash,
+      // Rendered text vs. text recovered from embedded payloads, for the short-text diagnostic
+      visibleTextLength: visibleContent.length,
+      structuredSources: Object.keys(structured.sources),
+      // Pages whose content didn't change keep their original scrape time
+      scrapedAt: previousPage && previousPage.contentHash === contentHash ? previousPage.scrapedAt : now,
+      checkedAt: now,
+      links,
+      validators: { etag: result.etag, lastModified: result.lastModified }
     };
 
     return pageData;
   }
 
-  extractTextContent($) {
+  // Returns the main content as Markdown so headings, lists and tables survive into chunking
+  // Source-specific selectors are tried before the generic ones
+  extractTextContent($, contentSelectors = []) {
     // Try to find main content areas
     const mainSelectors = [
+      ...contentSelectors,
       'main',
       'article',
       '[role="main"]',
@@ -100,91 +369,258 @@ class WebScraper {
     for (const selector of mainSelectors) {
       const element = $(selector).first();
       if (element.length > 0) {
-        content = element.text();
+        content = htmlToMarkdown($, element.get(0));
         break;
       }
     }
 
     // If no main content found, extract from body
-    if (!content) {
-      content = $('body').text();
+    if (!content && $('body').length > 0) {
+      content = htmlToMarkdown($, $('body').get(0));
     }
 
-    // Clean up the content
-    return content
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n/g, '\n\n')
-      .trim();
+    return content;
   }
 
-  async scrapeWebsite(baseUrl, maxPages = 50) {
+  async scrapeWebsite(source) {
+    const { maxPages } = source;
+    const baseUrl = new URL(source.startUrls[0]).origin;
     const visited = new Set();
-    const pages = [];
-    const toVisit = [baseUrl];
+    const report = { site: source.name, sitemapErrors: [], skipped: [], shortText: [] };
+    this.crawlReports.push(report);
 
-    console.log(`\nStarting to scrape: ${baseUrl}`);
+    console.log(`\nStarting to scrape source "${source.name}": ${source.startUrls.join(', ')}`);
     console.log(`Max pages: ${maxPages}\n`);
 
-    while (toVisit.length > 0 && pages.length < maxPages) {
-      const url = toVisit.shift();
-      
-      if (visited.has(url)) {
-        continue;
+    const robots = await this.loadRobots(baseUrl);
+    // Respect Crawl-delay, but never go faster than our own minimum delay
+    const delayMs = Math.max(this.minDelayMs, (robots.crawlDelay || 0) * 1000);
+    const queue = new CrawlQueue({
+      // A Crawl-delay asks for one request at a time
+      concurrency: robots.crawlDelay ? 1 : this.concurrency,
+      minIntervalMs: delayMs
+    });
+
+    const sitemapUrls = await this.loadSitemapUrls(baseUrl, robots, report, source);
+    const fromSitemap = new Set(sitemapUrls);
+
+    const saved = this.progress.sites[source.name];
+    let pages = [];
+    if (saved) {
+      console.log(`Resuming interrupted crawl: ${saved.pages.length} pages done, ${saved.pending.length} queued`);
+      pages = saved.pages;
+      saved.done.forEach(url => visited.add(url));
+      queue.restore(saved.done, saved.pending);
+    } else {
+      // Sitemap pages are queued right after the start URLs, ahead of links discovered while crawling
+      [...source.startUrls.map(url => canonicalizeUrl(url) || url), ...sitemapUrls].forEach(url => queue.add(url));
+    }
+
+    const recordProgress = () => {
+      this.progress.sites[source.name] = {
+        done: [...visited].filter(url => !queue.inFlight.has(url)),
+        // In-flight pages go back to the front of the queue if the crawl is interrupted
+        pending: [...queue.inFlight, ...queue.pending],
+        pages
+      };
+      return this.saveProgress();
+    };
+
+    await queue.run(async (url) => {
+      if (!robots.isAllowed(url)) {
+        visited.add(url);
+        console.log(`Skipping (robots.txt): ${url}`);
+        return;
       }
 
-      const pageData = await this.scrapePage(url, visited);
-      
-      if (pageData && pageData.content) {
+      // One fetch per page yields both its content and its links
+      const pageData = await this.scrapePage(url, visited, baseUrl, source);
+
+      if (pageData && pageData.visibleTextLength !== undefined && pageData.visibleTextLength < this.shortTextThreshold) {
+        report.shortText.push({
+          url,
+          visibleTextLength: pageData.visibleTextLength,
+          contentLength: (pageData.content || '').length,
+          recoveredFrom: pageData.structuredSources || []
+        });
+      }
+
+      if (pageData && pageData.content && pages.length < maxPages) {
+        this.recordPage(pageData);
         pages.push(pageData);
         console.log(`✓ Scraped: ${pageData.title} (${url})`);
 
-        // Extract and add new links to visit
-        const html = await this.fetchPage(url);
-        if (html) {
-          const $ = cheerio.load(html);
-          const links = await this.extractLinks($, baseUrl);
-          links.forEach(link => {
-            if (!visited.has(link) && !toVisit.includes(link)) {
-              toVisit.push(link);
-            }
-          });
-        }
+        // Add new links to visit (extracted from the same response, or stored for 304s)
+        pageData.links
+          .filter(link => this.registry.matches(source, link))
+          .forEach(link => queue.add(link));
+      } else if (fromSitemap.has(url) && !(pageData && pageData.content)) {
+        report.skipped.push({ url, reason: pageData ? 'no text content' : 'fetch failed' });
       }
 
-      // Small delay to be respectful
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await recordProgress();
+    }, {
+      canStart: () => pages.length + queue.inFlight.size < maxPages
+    });
+
+    // Sitemap pages that never got their turn
+    for (const url of queue.pending) {
+      if (fromSitemap.has(url) && !visited.has(url)) {
+        report.skipped.push({ url, reason: `page limit (${maxPages}) reached` });
+      }
     }
 
     return pages;
   }
 
-  async scrapeAll() {
+  printCrawlReport() {
+    for (const report of this.crawlReports) {
+      console.log(`\nCrawl report for ${report.site}:`);
+      for (const error of report.sitemapErrors) {
+        console.log(`  ! ${error.sitemap}: ${error.reason}`);
+      }
+      if (report.skipped.length === 0) {
+        console.log('  No sitemap URLs skipped');
+      }
+      for (const skipped of report.skipped) {
+        console.log(`  - ${skipped.url}: ${skipped.reason}`);
+      }
+
+      for (const page of report.shortText) {
+        const recovered = page.contentLength > page.visibleTextLength
+          ? `${page.contentLength - page.visibleTextLength} more recovered from ${page.recoveredFrom.join(', ') || 'meta description'}`
+          : 'nothing recovered, the page may need JavaScript to render';
+        console.log(`  ? Short visible text: ${page.url} (${page.visibleTextLength} chars; ${recovered})`);
+      }
+    }
+  }
+
+  // Pages from earlier runs that this crawl didn't reach are checked directly:
+  // gone (404/410) means removed, anything else keeps the page. pageCounts holds the pages crawled
+  // per source; a source at its page limit drops its missing pages instead of fetching them.
+  async recheckMissingPages(seenUrls, pageCounts = new Map()) {
+    const pages = [];
+
+    for (const [url, pageState] of Object.entries(this.state.pages)) {
+      if (pageState.status === 'removed' || seenUrls.has(url)) {
+        continue;
+      }
+
+      // Pages no source covers any more (source removed or URL excluded) are dropped
+      const source = this.registry.findSource(url);
+      if (!source) {
+        this.state.pages[url] = { ...pageState, status: 'removed', removedAt: new Date().toISOString() };
+        this.runSummary.removed.push(url);
+        continue;
+      }
+
+      const count = pageCounts.get(source.name) || 0;
+      if (count >= source.maxPages) {
+        this.state.pages[url] = { ...pageState, status: 'removed', removedAt: new Date().toISOString() };
+        this.runSummary.removed.push(url);
+        continue;
+      }
+
+      const pageData = await this.scrapePage(url, new Set(), new URL(url).origin, source);
+      if (pageData && pageData.content) {
+        this.recordPage(pageData);
+        pages.push(pageData);
+        pageCounts.set(source.name, count + 1);
+      } else if (this.goneUrls.has(url)) {
+        this.state.pages[url] = { ...pageState, status: 'removed', removedAt: new Date().toISOString() };
+        this.runSummary.removed.push(url);
+      } else if (this.previousPages.has(url)) {
+        // Temporary failure: keep the last known content rather than dropping the page
+        pages.push(this.previousPages.get(url));
+        this.runSummary.failed.push(url);
+        pageCounts.set(source.name, count + 1);
+      }
+
+      await sleep(this.minDelayMs);
+    }
+
+    return pages;
+  }
+
+  printRunSummary() {
+    const { added, changed, unchanged, removed, failed } = this.runSummary;
+
+    console.log('\nChanges since last scrape:');
+    console.log(`  Added: ${added.length}, Changed: ${changed.length}, Unchanged: ${unchanged.length}, Removed: ${removed.length}`);
+    for (const [label, urls] of [['+', added], ['~', changed], ['-', removed]]) {
+      urls.forEach(url => console.log(`  ${label} ${url}`));
+    }
+    if (failed.length > 0) {
+      console.log(`  ${failed.length} known pages could not be fetched; their previous content was kept`);
+    }
+  }
+
+  // options.outputFile and options.stateFile write the pages and scrape state somewhere else
+  // (e.g. temp files that only replace the live ones once checked); the previous run's files are
+  // still read from the usual places
+  async scrapeAll(options = {}) {
+    const outputFile = options.outputFile || this.outputFile;
+    this.stateTarget = options.stateFile || this.stateFile;
     await this.ensureDataDirectory();
+    await this.loadState();
+    await this.loadProgress();
+
+    const sources = await this.registry.load();
+    const problems = this.registry.validate();
+    if (sources.length === 0) {
+      throw new Error(`No sources configured in ${this.registry.configFile}. Add one with: node index.js sources add <name> <url>`);
+    }
+    if (problems.length > 0) {
+      const details = problems.map(problem => `${problem.name}: ${problem.errors.join('; ')}`).join('\n  ');
+      throw new Error(`Invalid sources in ${this.registry.configFile}:\n  ${details}`);
+    }
 
     console.log('='.repeat(60));
     console.log('Starting Web Scraping Process');
     console.log('='.repeat(60));
 
-    // Scrape main website
-    const mainPages = await this.scrapeWebsite(this.baseUrl, 30);
-    
-    // Scrape guide website
-    const guidePages = await this.scrapeWebsite(this.guideUrl, 30);
+    const crawledPages = [];
+    for (const source of sources) {
+      crawledPages.push(...await this.scrapeWebsite(source));
+    }
+
+    const pageCounts = new Map();
+    for (const page of crawledPages) {
+      pageCounts.set(page.source, (pageCounts.get(page.source) || 0) + 1);
+    }
+    const missingPages = await this.recheckMissingPages(new Set(crawledPages.map(page => page.url)), pageCounts);
 
-    // Combine all pages
+    // Combine all pages (links and validators are only needed in the scrape state)
     const allPages = [
-      ...mainPages,
-      ...guidePages
-    ];
+      ...crawledPages,
+      ...missingPages
+    ].map(({ links, validators, ...page }) => page);
 
     // Save to file
-    const outputFile = path.join(this.dataDir, 'scraped_content.json');
     await fs.writeFile(outputFile, JSON.stringify(allPages, null, 2));
 
+    this.state.lastRun = {
+      finishedAt: new Date().toISOString(),
+      added: this.runSummary.added.length,
+      changed: this.runSummary.changed.length,
+      unchanged: this.runSummary.unchanged.length,
+      removed: this.runSummary.removed.length
+    };
+    await this.saveState();
+    // The crawl finished, so there is nothing left to resume
+    await this.clearProgress();
+
+    // Save the crawl report next to the scraped content
+    const reportFile = path.join(this.dataDir, 'crawl_report.json');
+    await fs.writeFile(reportFile, JSON.stringify(this.crawlReports, null, 2));
+    this.printCrawlReport();
+    this.printRunSummary();
+
     console.log('\n' + '='.repeat(60));
     console.log('Scraping Complete!');
     console.log(`Total pages scraped: ${allPages.length}`);
     console.log(`Data saved to: ${outputFile}`);
+    console.log(`Crawl report saved to: ${reportFile}`);
     console.log('='.repeat(60) + '\n');
 
     return allPages;
@@ -192,4 +628,3 @@ class WebScraper {
 }
 
 module.exports = WebScraper;
-
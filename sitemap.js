@@ -0,0 +1,84 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+// Loads page URLs from sitemaps, following sitemap indexes (with a depth limit)
+class SitemapLoader {
+  // fetchBody(url) resolves to a Buffer or string, or null when the sitemap can't be fetched
+  constructor(fetchBody, options = {}) {
+    this.fetchBody = fetchBody;
+    this.maxDepth = options.maxDepth || 3;
+  }
+
+  parse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const sitemaps = $('sitemapindex > sitemap > loc')
+      .map((i, elem) => $(elem).text().trim())
+      .get();
+
+    const urls = $('urlset > url')
+      .map((i, elem) => ({
+        url: $(elem).find('loc').first().text().trim(),
+        lastmod: $(elem).find('lastmod').first().text().trim() || null
+      }))
+      .get()
+      .filter(entry => entry.url);
+
+    return { sitemaps, urls };
+  }
+
+  decode(body, url) {
+    if (Buffer.isBuffer(body)) {
+      // .xml.gz sitemaps are served as gzip files rather than with a gzip content-encoding
+      const isGzip = body[0] === 0x1f && body[1] === 0x8b;
+      return (isGzip || url.endsWith('.gz') ? zlib.gunzipSync(body) : body).toString('utf-8');
+    }
+    return body;
+  }
+
+  async load(sitemapUrls) {
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+    const queue = sitemapUrls.map(url => ({ url, depth: 0 }));
+
+    while (queue.length > 0) {
+      const { url, depth } = queue.shift();
+      if (seen.has(url)) {
+        continue;
+      }
+      seen.add(url);
+
+      let xml;
+      try {
+        const body = await this.fetchBody(url);
+        if (!body) {
+          errors.push({ sitemap: url, reason: 'could not be fetched' });
+          continue;
+        }
+        xml = this.decode(body, url);
+      } catch (error) {
+        errors.push({ sitemap: url, reason: error.message });
+        continue;
+      }
+
+      const { sitemaps, urls } = this.parse(xml);
+
+      for (const child of sitemaps) {
+        if (depth + 1 > this.maxDepth) {
+          errors.push({ sitemap: child, reason: `nested deeper than ${this.maxDepth} sitemap indexes` });
+        } else {
+          queue.push({ url: child, depth: depth + 1 });
+        }
+      }
+
+      for (const entry of urls) {
+        entries.push({ ...entry, sitemap: url });
+      }
+    }
+
+    return { entries, errors };
+  }
+}
+
+module.exports = SitemapLoader;
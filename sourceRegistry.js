@@ -0,0 +1,176 @@
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Sources to crawl, declared in sources.json. Each source has a name (stored as the chunk's
+// source label), start URLs on one host, include/exclude URL patterns, content selectors
+// and a page limit. Patterns match the full URL; * matches any characters.
+
+const DEFAULT_MAX_PAGES = 30;
+
+function patternToRegExp(pattern) {
+  const body = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}$`);
+}
+
+class SourceRegistry {
+  constructor(configFile) {
+    this.configFile = configFile || process.env.SOURCES_FILE || path.join(__dirname, 'sources.json');
+    this.sources = [];
+  }
+
+  async load() {
+    try {
+      const config = JSON.parse(await fs.readFile(this.configFile, 'utf-8'));
+      this.sources = (config.sources || []).map(source => this.normalize(source));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read ${this.configFile}: ${error.message}`);
+      }
+      this.sources = [];
+    }
+    return this.sources;
+  }
+
+  async save() {
+    const sources = this.sources.map(({ name, startUrls, include, exclude, contentSelectors, maxPages }) =>
+      ({ name, startUrls, include, exclude, contentSelectors, maxPages }));
+    await fs.writeFile(this.configFile, JSON.stringify({ sources }, null, 2) + '\n');
+  }
+
+  // Fills in defaults; validate() reports anything that is still wrong
+  normalize(source) {
+    return {
+      name: source.name,
+      startUrls: source.startUrls || [],
+      include: source.include || [],
+      exclude: source.exclude || [],
+      contentSelectors: source.contentSelectors || [],
+      maxPages: source.maxPages === undefined ? DEFAULT_MAX_PAGES : source.maxPages
+    };
+  }
+
+  get(name) {
+    return this.sources.find(source => source.name === name) || null;
+  }
+
+  async add(source) {
+    const normalized = this.normalize(source);
+    const errors = this.validateSource(normalized);
+    if (this.get(normalized.name)) {
+      errors.push(`a source named "${normalized.name}" already exists`);
+    }
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.sources.push(normalized);
+    await this.save();
+    return normalized;
+  }
+
+  // Without include patterns a source covers everything on its start URLs' host
+  matches(source, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const included = source.include.length > 0
+      ? source.include.some(pattern => patternToRegExp(pattern).test(url))
+      : source.startUrls.some(startUrl => new URL(startUrl).host === parsed.host);
+
+    return included && !source.exclude.some(pattern => patternToRegExp(pattern).test(url));
+  }
+
+  // The first source that covers the URL, e.g. to label pages from earlier runs
+  findSource(url) {
+    return this.sources.find(source => this.matches(source, url)) || null;
+  }
+
+  validateSource(source) {
+    const errors = [];
+
+    if (!source.name || !/^[a-z0-9][a-z0-9-]*$/.test(source.name)) {
+      errors.push('name must be lowercase letters, digits and dashes');
+    }
+
+    if (!Array.isArray(source.startUrls) || source.startUrls.length === 0) {
+      errors.push('at least one start URL is required');
+    } else {
+      const hosts = new Set();
+      for (const startUrl of source.startUrls) {
+        try {
+          const parsed = new URL(startUrl);
+          if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            errors.push(`start URL ${startUrl} must be http or https`);
+          }
+          hosts.add(parsed.host);
+        } catch (error) {
+          errors.push(`start URL ${startUrl} is not a valid URL`);
+        }
+      }
+      // robots.txt, sitemaps and rate limits are per host
+      if (hosts.size > 1) {
+        errors.push('start URLs must all be on one host');
+      }
+    }
+
+    for (const field of ['include', 'exclude', 'contentSelectors']) {
+      if (!Array.isArray(source[field]) || source[field].some(value => typeof value !== 'string' || !value)) {
+        errors.push(`${field} must be a list of non-empty strings`);
+      }
+    }
+
+    const $ = cheerio.load('');
+    for (const selector of Array.isArray(source.contentSelectors) ? source.contentSelectors : []) {
+      try {
+        $(selector);
+      } catch (error) {
+        errors.push(`content selector "${selector}" is invalid`);
+      }
+    }
+
+    if (!Number.isInteger(source.maxPages) || source.maxPages < 1) {
+      errors.push('maxPages must be a positive integer');
+    }
+
+    // A source whose own start URLs are filtered out would crawl nothing
+    if (errors.length === 0) {
+      for (const startUrl of source.startUrls) {
+        if (!this.matches(source, startUrl)) {
+          errors.push(`start URL ${startUrl} is excluded by the source's own patterns`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Returns [{ name, errors }] for every source with problems
+  validate() {
+    const problems = [];
+    const names = new Set();
+
+    for (const source of this.sources) {
+      const errors = this.validateSource(source);
+      if (names.has(source.name)) {
+        errors.push('duplicate source name');
+      }
+      names.add(source.name);
+
+      if (errors.length > 0) {
+        problems.push({ name: source.name || '(unnamed)', errors });
+      }
+    }
+
+    return problems;
+  }
+}
+
+module.exports = SourceRegistry;
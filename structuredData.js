@@ -0,0 +1,145 @@
+const cheerio = require('cheerio');
+
+// Text that pages ship outside their visible HTML: JSON-LD, Next.js/Nuxt hydration payloads and
+// meta descriptions. Run this before <script> tags are stripped.
+
+// JSON-LD properties that hold readable text
+const JSON_LD_TEXT_KEYS = new Set(['name', 'headline', 'alternativeHeadline', 'description', 'articleBody', 'text', 'abstract', 'slogan', 'disambiguatingDescription']);
+
+// Hydration payloads mix content with ids, class names and code, so only prose-like strings are kept
+function isProse(text) {
+  if (text.length < 40 || /^(https?:|\/|data:)/.test(text) || /(function\s*\(|=>|\{\s*"|;\s*$)/.test(text)) {
+    return false;
+  }
+  const words = text.split(/\s+/).filter(Boolean);
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  return words.length >= 6 && letters / text.length > 0.6;
+}
+
+function stripHtml(text) {
+  return /<[a-z][^>]*>/i.test(text) ? cheerio.load(text).root().text() : text;
+}
+
+function normalizeText(text) {
+  return stripHtml(text).replace(/\s+/g, ' ').trim();
+}
+
+// Collects string values, optionally only under the given keys
+function collectStrings(value, keys = null, results = [], key = null) {
+  if (typeof value === 'string') {
+    if (!keys || keys.has(key)) {
+      results.push(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, keys, results, key));
+  } else if (value && typeof value === 'object') {
+    for (const [childKey, child] of Object.entries(value)) {
+      collectStrings(child, keys, results, childKey);
+    }
+  }
+  return results;
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+// String literals from a script that isn't plain JSON (window.__NUXT__ functions, Next.js flight data)
+function stringLiterals(script) {
+  const literals = script.match(/"(?:[^"\\]|\\.){40,}"/g) || [];
+  return literals
+    .map(literal => parseJSON(literal))
+    .filter(value => typeof value === 'string')
+    // Flight data nests JSON inside strings, one "id:json" row per line
+    .flatMap(value => value.split('\n').flatMap(line => {
+      const row = line.replace(/^[0-9a-f]+:/, '');
+      const nested = row.startsWith('[') || row.startsWith('{') ? parseJSON(row) : null;
+      return nested ? collectStrings(nested) : [line];
+    }));
+}
+
+function extractMeta($) {
+  const content = selector => ($(selector).attr('content') || '').trim();
+  return {
+    description: content('meta[name="description"]') || content('meta[property="og:description"]') || content('meta[name="twitter:description"]'),
+    ogTitle: content('meta[property="og:title"]')
+  };
+}
+
+// Returns { meta, sources } where sources maps 'json-ld', 'next-data' and 'nuxt' to the prose found in them
+function extractStructuredData($) {
+  const sources = {};
+  const add = (name, texts) => {
+    const cleaned = texts.map(normalizeText).filter(isProse);
+    if (cleaned.length > 0) {
+      sources[name] = [...(sources[name] || []), ...cleaned];
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    const data = parseJSON($(elem).html() || '');
+    if (data) {
+      add('json-ld', collectStrings(data, JSON_LD_TEXT_KEYS));
+    }
+  });
+
+  const nextData = parseJSON($('script#__NEXT_DATA__').html() || '');
+  if (nextData) {
+    add('next-data', collectStrings(nextData.props || nextData));
+  }
+
+  $('script').each((i, elem) => {
+    const script = $(elem).html() || '';
+    if ($(elem).attr('id') === '__NUXT_DATA__') {
+      // Nuxt 3 serializes its payload as a flat JSON array
+      add('nuxt', collectStrings(parseJSON(script) || []));
+    } else if (script.includes('window.__NUXT__')) {
+      add('nuxt', stringLiterals(script));
+    } else if (script.includes('self.__next_f.push')) {
+      add('next-data', stringLiterals(script));
+    }
+  });
+
+  return { meta: extractMeta($), sources };
+}
+
+// Adds the description and payload text that the visible content doesn't already contain
+function mergeStructuredContent(content, structured) {
+  // Markdown markers would hide text that is already there
+  const visible = normalizeText(content.replace(/[*#`|>]/g, ' ')).toLowerCase();
+  const seen = new Set();
+  const isNew = text => {
+    const key = text.toLowerCase();
+    if (seen.has(key) || visible.includes(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  };
+
+  const description = structured.meta.description ? normalizeText(structured.meta.description) : '';
+  const parts = [];
+
+  if (description && isNew(description)) {
+    parts.push(description);
+  }
+  const extra = Object.values(structured.sources).flat().filter(isNew);
+  if (content) {
+    parts.push(content);
+  }
+  if (extra.length > 0) {
+    parts.push('## Embedded content', ...extra);
+  }
+
+  return parts.join('\n\n');
+}
+
+module.exports = {
+  extractStructuredData,
+  mergeStructuredContent,
+  isProse
+};
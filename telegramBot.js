@@ -1,6 +1,12 @@
 const TelegramBot = require('node-telegram-bot-api');
 const AIAgent = require('./aiAgent');
 const PriceAPI = require('./priceApi');
+const { isQuotaError } = require('./llmProviders');
+const StreamingReply = require('./telegramStreamer');
+const ConversationMemory = require('./conversationMemory');
+const { formatCitationsMarkdown } = require('./citations');
+const KnowledgeRefresher = require('./knowledgeRefresher');
+const { formatRefreshResult } = require('./knowledgeRefresher');
 
 class TelegramAIBot {
   constructor(telegramToken, openaiApiKey) {
@@ -13,6 +19,18 @@ class TelegramAIBot {
     this.priceAPI = new PriceAPI();
     // Store conversation context per chat: { lastTopic, lastQuestion, waitingForFollowUp }
     this.conversationContext = new Map();
+    // Message history per chat, sent to the model so follow-up questions keep their referent
+    this.memory = new ConversationMemory();
+    // Telegram user IDs of admins (their private chats receive budget warnings)
+    this.adminIds = (process.env.TELEGRAM_ADMIN_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    this.aiAgent.usageTracker.on('budget', (event) => this.notifyBudget(event));
+    // Optional scheduled scrape + process (KB_REFRESH_INTERVAL_MINUTES), swapped in without a restart
+    this.refresher = new KnowledgeRefresher({ embeddingProvider: this.aiAgent.embeddingProvider });
+    this.refresher.on('refresh', (result) => this.notifyRefresh(result));
+    this.refresher.start();
     this.setupHandlers();
   }
 
@@ -32,6 +50,7 @@ You can ask me anything about Pepe Unchained!
 /start - Show this welcome message
 /help - Show help information
 /status - Check if I'm ready to answer questions
+/reset - Forget our conversation and start fresh
 
 Just send me a message and I'll answer based on the knowledge base! 🚀`;
 
@@ -54,22 +73,52 @@ Simply send me any question about Pepe Unchained, and I'll provide an answer wit
 • What are the features?
 • Tell me about the roadmap
 
+I remember the conversation, so you can ask follow-ups like "and what are the fees for that?". Send /reset to start over.
+
+*Admin commands:*
+/teach \\[pin] \\[Title |] fact - Add a fact (pinned facts go into every answer)
+/facts - List the manual facts
+/forget <id> - Remove a fact
+
 *Note:* Make sure the knowledge base has been scraped and processed first using:
 \`node index.js full\``;
 
       this.bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
     });
 
+    // Reset command - clears the conversation history for this chat
+    this.bot.onText(/^\/reset(?:@\w+)?$/, (msg) => {
+      const chatId = msg.chat.id;
+      this.memory.clear(chatId);
+      this.conversationContext.delete(chatId);
+      this.bot.sendMessage(chatId, '🧹 Conversation cleared! Ask me anything about Pepe Unchained.');
+    });
+
     // Status command
     this.bot.onText(/\/status/, async (msg) => {
       const chatId = msg.chat.id;
       try {
-        const processedData = await this.aiAgent.dataProcessor.loadProcessedData();
+        const chunkCount = await this.aiAgent.dataProcessor.countChunks();
+        const facts = await this.aiAgent.factsStore.list();
+        const cacheStats = this.aiAgent.answerCache
+          ? this.aiAgent.answerCache.getStats()
+          : null;
+        const cacheLine = cacheStats
+          ? `🗂 Answer cache: ${cacheStats.hits} hits (${cacheStats.exactHits} exact, ${cacheStats.semanticHits} similar), ${cacheStats.misses} misses, ${(cacheStats.hitRate * 100).toFixed(0)}% hit rate`
+          : '🗂 Answer cache: disabled';
+        const usage = await this.aiAgent.usageTracker.getSummary();
+        const lastRefresh = this.refresher.lastResult;
+        const refreshLine = lastRefresh
+          ? `\n🔄 Last refresh: ${lastRefresh.ok ? 'succeeded' : 'failed'} at ${lastRefresh.finishedAt}`
+          : '';
+        const usageLine = `💰 Today's usage: ${usage.total.requests} requests, ${(usage.total.promptTokens + usage.total.completionTokens).toLocaleString()} tokens, ~$${usage.total.cost.toFixed(4)}`;
         const statusMessage = `*Bot Status*
 
 ✅ Bot is running
 ✅ AI Agent is ready
-📚 Knowledge base: ${processedData.length} chunks loaded
+📚 Knowledge base: ${chunkCount} chunks loaded, ${facts.length} manual facts
+${cacheLine}
+${usageLine}${refreshLine}
 
 Ready to answer questions! 🚀`;
 
@@ -79,6 +128,78 @@ Ready to answer questions! 🚀`;
       }
     });
 
+    // Manual facts, admins only: /teach [pin] [Title |] fact, /facts, /forget <id>
+    this.bot.onText(/^\/teach(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      if (!this.requireAdmin(msg)) {
+        return;
+      }
+
+      const parsed = this.parseTeachCommand(match[1] || '');
+      if (!parsed.text) {
+        this.bot.sendMessage(chatId, 'Usage: /teach [pin] [Title |] fact\n\nPinned facts are included in every answer; the others are found by search like scraped content.');
+        return;
+      }
+
+      try {
+        const fact = await this.aiAgent.factsStore.add(parsed, {
+          id: msg.from.id,
+          name: msg.from.username || msg.from.first_name
+        });
+        console.log(`[Facts] ${fact.author.name} added ${fact.id}: ${fact.text}`);
+        this.bot.sendMessage(chatId, `✅ Learned ${fact.pinned ? 'pinned ' : ''}fact ${fact.id}. Remove it with /forget ${fact.id}`);
+      } catch (error) {
+        this.bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+      }
+    });
+
+    this.bot.onText(/^\/facts(?:@\w+)?$/, async (msg) => {
+      const chatId = msg.chat.id;
+      if (!this.requireAdmin(msg)) {
+        return;
+      }
+
+      try {
+        const facts = await this.aiAgent.factsStore.list();
+        if (facts.length === 0) {
+          this.bot.sendMessage(chatId, 'No manual facts yet. Add one with /teach');
+          return;
+        }
+
+        const lines = facts.map(fact => {
+          const title = fact.title ? `${fact.title}: ` : '';
+          const text = fact.text.length > 200 ? fact.text.substring(0, 200) + '...' : fact.text;
+          return `${fact.id}${fact.pinned ? ' 📌' : ''} ${title}${text}\n   by ${fact.author.name}, ${fact.updatedAt.slice(0, 10)}`;
+        });
+        for (const part of this.splitMessage(`📝 Manual facts (${facts.length}):\n\n${lines.join('\n\n')}`, 4000)) {
+          await this.bot.sendMessage(chatId, part);
+        }
+      } catch (error) {
+        this.bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+      }
+    });
+
+    this.bot.onText(/^\/forget(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      if (!this.requireAdmin(msg)) {
+        return;
+      }
+      if (!match[1]) {
+        this.bot.sendMessage(chatId, 'Usage: /forget <id> (see /facts for IDs)');
+        return;
+      }
+
+      try {
+        const fact = await this.aiAgent.factsStore.remove(match[1]);
+        if (fact) {
+          console.log(`[Facts] ${msg.from.username || msg.from.first_name} removed ${fact.id}: ${fact.text}`);
+        }
+        this.bot.sendMessage(chatId, fact ? `🗑 Forgot fact ${fact.id}.` : `No fact with ID ${match[1]}. See /facts`);
+      } catch (error) {
+        this.bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+      }
+    });
+
     // Handle all text messages (questions)
     this.bot.on('message', async (msg) => {
       const chatId = msg.chat.id;
@@ -143,7 +264,7 @@ Ready to answer questions! 🚀`;
           this.conversationContext.set(chatId, context);
 
           // Process the follow-up question
-          await this.processQuery(chatId, followUpQuery, context);
+          await this.processQuery(chatId, followUpQuery, context, msg.from.id);
           return;
         }
 
@@ -154,8 +275,9 @@ Ready to answer questions! 🚀`;
           return;
         }
 
-        // Check if asking about price or market cap - fetch immediately
-        if (this.isPriceQuestion(text)) {
+        // Without tool calling, price questions are detected by keyword and answered directly.
+        // With tools, the model decides when to fetch live data.
+        if (!this.aiAgent.toolsEnabled && this.isPriceQuestion(text)) {
           try {
             const priceData = await this.priceAPI.getPEPUPrice();
             const priceResponse = this.formatPriceResponse(priceData);
@@ -181,21 +303,15 @@ Ready to answer questions! 🚀`;
         }
 
         // Process the query
-        await this.processQuery(chatId, text, context);
+        await this.processQuery(chatId, text, context, msg.from.id);
 
       } catch (error) {
         console.error('Error processing query:', error);
         
         let errorMessage = '';
         
-        // Handle quota/billing errors - check multiple error properties
-        const isQuotaError = error.message?.includes('quota') || 
-                            error.message?.includes('429') || 
-                            error.code === 'insufficient_quota' ||
-                            error.error?.code === 'insufficient_quota' ||
-                            error.type === 'insufficient_quota';
-        
-        if (isQuotaError) {
+        // Handle quota/billing errors (only reached once every configured provider has failed)
+        if (isQuotaError(error)) {
           console.log('Quota error detected, trying fallback mode...');
           
           // Try fallback mode FIRST before showing error
@@ -204,13 +320,14 @@ Ready to answer questions! 🚀`;
             if (fallbackAnswer) {
               const fallbackMessage = '💳 *Using Fallback Mode*\n\n';
               const fallbackNote = 'OpenAI quota exceeded. Here\'s an answer from the knowledge base:\n\n';
-              await this.bot.sendMessage(chatId, fallbackMessage + fallbackNote, { parse_mode: 'Markdown' });
-              await this.bot.sendMessage(chatId, fallbackAnswer, { parse_mode: 'Markdown' });
+              await this.sendMarkdown(chatId, fallbackMessage + fallbackNote);
+              // Plain text: chunk content is Markdown that Telegram's parser would reject
+              await this.bot.sendMessage(chatId, fallbackAnswer);
               
               // Also send billing info
               const billingInfo = '\n\n💡 *To enable AI responses:*\n';
               const billingLink = 'Add billing: https://platform.openai.com/account/billing';
-              await this.bot.sendMessage(chatId, billingInfo + billingLink, { parse_mode: 'Markdown' });
+              await this.sendMarkdown(chatId, billingInfo + billingLink);
               return;
             }
           } catch (fallbackError) {
@@ -240,7 +357,7 @@ Ready to answer questions! 🚀`;
           errorMessage += 'Please try again or contact the administrator.';
         }
 
-        this.bot.sendMessage(chatId, errorMessage, { parse_mode: 'Markdown' });
+        this.sendMarkdown(chatId, errorMessage).catch(sendError => console.error('Error sending error message:', sendError.message));
       }
     });
 
@@ -385,18 +502,19 @@ Ready to answer questions! 🚀`;
         return null;
       }
 
-      // Build a simple answer from the most relevant chunks
-      let answer = `📚 *Answer from Knowledge Base*\n\n`;
+      // Build a simple answer from the most relevant chunks. It is sent as plain text: chunks are
+      // Markdown (tables, escaped pipes, underscores) that Telegram's Markdown parser rejects.
+      let answer = `📚 Answer from Knowledge Base\n\n`;
       
       // Use the most relevant chunk as the main answer
       const mainChunk = relevantChunks[0];
       answer += `${mainChunk.content.substring(0, 800)}${mainChunk.content.length > 800 ? '...' : ''}\n\n`;
       
-      answer += `*Source:* ${mainChunk.url}\n\n`;
+      answer += `Source: ${mainChunk.url}\n\n`;
       
       // Add other relevant sources if available
       if (relevantChunks.length > 1) {
-        answer += `*Additional Sources:*\n`;
+        answer += `Additional Sources:\n`;
         relevantChunks.slice(1).forEach((chunk, index) => {
           answer += `${index + 2}. ${chunk.url}\n`;
         });
@@ -409,6 +527,86 @@ Ready to answer questions! 🚀`;
     }
   }
 
+  async sendKnowledgeBaseAnswer(chatId, query) {
+    const answer = await this.getFallbackAnswer(query);
+    const note = '💤 Daily AI budget reached, so this answer comes straight from the knowledge base.\n\n';
+
+    // Plain text, like every answer from getFallbackAnswer
+    if (answer) {
+      await this.bot.sendMessage(chatId, note + answer);
+    } else {
+      await this.bot.sendMessage(chatId, note + 'Sorry, I couldn\'t find anything about that in the knowledge base.');
+    }
+  }
+
+  // Sends with Markdown formatting; text Telegram can't parse (400 "can't parse entities") is
+  // sent again as plain text instead of failing
+  async sendMarkdown(chatId, text) {
+    try {
+      return await this.bot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+    } catch (error) {
+      if (!/can't parse entities|can't find end of/i.test(error.message || '')) {
+        throw error;
+      }
+      console.error('Telegram rejected the Markdown, sending as plain text:', error.message);
+      return this.bot.sendMessage(chatId, text);
+    }
+  }
+
+  async notifyBudget({ scope, id, spent, limit, level }) {
+    const target = scope === 'global' ? 'Global' : `${scope === 'chat' ? 'Chat' : 'User'} ${id}`;
+    const message = level === 'exhausted'
+      ? `🚨 ${target} daily budget exhausted: $${spent.toFixed(4)} of $${limit}. Switching to knowledge-base-only answers until tomorrow (UTC).`
+      : `⚠️ ${target} has used $${spent.toFixed(4)} of its $${limit} daily budget.`;
+
+    console.log(`[Budget] ${message}`);
+    await this.notifyAdmins(message);
+  }
+
+  async notifyRefresh(result) {
+    if (result.ok) {
+      this.aiAgent.reloadKnowledgeBase();
+    }
+    await this.notifyAdmins(formatRefreshResult(result));
+  }
+
+  async notifyAdmins(message) {
+    for (const adminId of this.adminIds) {
+      try {
+        await this.bot.sendMessage(adminId, message);
+      } catch (error) {
+        console.error(`Error notifying admin ${adminId}:`, error.message);
+      }
+    }
+  }
+
+  // Replies to non-admins and returns false for them
+  requireAdmin(msg) {
+    if (this.adminIds.includes(String(msg.from.id))) {
+      return true;
+    }
+    this.bot.sendMessage(msg.chat.id, '⛔ Only admins can manage facts.');
+    return false;
+  }
+
+  // "pin Title | fact" -> { pinned, title, text }
+  parseTeachCommand(input) {
+    let text = input.trim();
+    const pinned = /^pin\s/i.test(text);
+    if (pinned) {
+      text = text.replace(/^pin\s+/i, '');
+    }
+
+    let title = null;
+    const separator = text.indexOf('|');
+    if (separator > 0) {
+      title = text.substring(0, separator).trim() || null;
+      text = text.substring(separator + 1).trim();
+    }
+
+    return { pinned, title, text };
+  }
+
   splitMessage(text, maxLength) {
     const chunks = [];
     let currentChunk = '';
@@ -437,9 +635,17 @@ Ready to answer questions! 🚀`;
     return chunks;
   }
 
-  async processQuery(chatId, query, context) {
-    // Check if this is a token-related question - add price info
-    const isTokenQuestion = this.isTokenQuestion(query);
+  async processQuery(chatId, query, context, userId) {
+    // Once a daily budget is used up, answer from the knowledge base without calling the model
+    const budget = await this.aiAgent.usageTracker.checkBudget({ chatId, userId });
+    if (budget.exhausted) {
+      console.log(`[Budget] ${budget.scope} budget exhausted ($${budget.spent.toFixed(4)} of $${budget.limit}), using knowledge base only`);
+      await this.sendKnowledgeBaseAnswer(chatId, query);
+      return;
+    }
+
+    // Check if this is a token-related question - add price info (the model fetches it itself when tools are enabled)
+    const isTokenQuestion = !this.aiAgent.toolsEnabled && this.isTokenQuestion(query);
     let priceInfo = '';
     
     if (isTokenQuestion) {
@@ -456,24 +662,44 @@ Ready to answer questions! 🚀`;
     const questionType = this.detectQuestionType(query);
     const topK = questionType === 'simple' ? 1 : questionType === 'medium' ? 2 : 3;
 
-    // Query the AI agent with shorter responses
-    const response = await this.aiAgent.queryWithRelevantContext(query, {
-      model: 'gpt-3.5-turbo',
-      temperature: 0.8,
-      maxTokens: 200,  // Reduced from 500 to make responses shorter
-      topK: topK
-    });
+    // Post a placeholder and edit it as the answer streams in
+    const reply = await new StreamingReply(this.bot, chatId).start();
+
+    let response;
+    try {
+      // Query the AI agent with shorter responses
+      response = await this.aiAgent.streamQueryWithRelevantContext(query, delta => reply.append(delta), {
+        temperature: 0.8,
+        maxTokens: 200,  // Reduced from 500 to make responses shorter
+        topK: topK,
+        history: this.memory.getWindow(chatId),
+        usageContext: { chatId, userId }
+      });
+    } catch (error) {
+      // Remove the placeholder so the error handler's message stands alone
+      await reply.cancel();
+      throw error;
+    }
 
     // Get shorter, concise answer
     let responseText = this.makeResponseConcise(response.answer);
 
+    // Source footer, limited to the sources the shortened answer still cites
+    const citationFooter = formatCitationsMarkdown(response.citations || [], responseText);
+    if (citationFooter) {
+      responseText = `${responseText}\n\n${citationFooter}`;
+    }
+
     // Add price info if token question
     if (priceInfo) {
       responseText = `${responseText}\n\n${priceInfo}`;
     }
 
-    // Send the response
-    await this.bot.sendMessage(chatId, responseText, { parse_mode: 'Markdown' });
+    // Replace the streamed text with the final formatted response
+    await reply.finish(responseText, this.splitMessage.bind(this));
+
+    // Remember this turn for follow-up questions
+    this.memory.addTurn(chatId, query, response.answer);
 
     // Track what topics we've discussed
     if (!context.askedTopics) {
@@ -517,16 +743,22 @@ Ready to answer questions! 🚀`;
   }
 
   makeResponseConcise(answer) {
-    // Limit response to 2-3 sentences max
-    const sentences = answer.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    
-    if (sentences.length <= 2) {
-      return answer.trim();
+    // Limit response to 3 sentences max, cutting the original text so formatting is kept.
+    // A sentence ends at . ! or ? (plus any citation markers like [1]) followed by whitespace,
+    // so dots inside URLs, decimals and addresses don't count.
+    const text = answer.trim();
+    const sentenceEnd = /[.!?](?:\s?\[\d+(?:\s*,\s*\d+)*\])*(?=\s)/g;
+    let sentences = 0;
+    let match;
+
+    while ((match = sentenceEnd.exec(text))) {
+      sentences++;
+      if (sentences === 3) {
+        return text.substring(0, match.index + match[0].length);
+      }
     }
-    
-    // Take first 2-3 sentences
-    const concise = sentences.slice(0, 3).join('. ').trim();
-    return concise + (concise.endsWith('.') ? '' : '.');
+
+    return text;
   }
 
   extractMainTopic(query, answer) {
@@ -605,6 +837,7 @@ Ready to answer questions! 🚀`;
   }
 
   stop() {
+    this.refresher.stop();
     this.bot.stopPolling();
     console.log('Telegram bot stopped.');
   }
@@ -0,0 +1,99 @@
+// Posts a placeholder message and progressively edits it while an answer streams in.
+// Telegram rate-limits edits (roughly one per second per chat), so updates are throttled.
+const TELEGRAM_MAX_LENGTH = 4096;
+
+class StreamingReply {
+  constructor(bot, chatId, options = {}) {
+    this.bot = bot;
+    this.chatId = chatId;
+    this.placeholder = options.placeholder || '💭 Thinking...';
+    this.editInterval = options.editInterval || 1500;
+    this.messageId = null;
+    this.text = '';
+    this.lastSentText = '';
+    this.lastEditAt = 0;
+    this.pendingEdit = null;
+  }
+
+  async start() {
+    const message = await this.bot.sendMessage(this.chatId, this.placeholder);
+    this.messageId = message.message_id;
+    return this;
+  }
+
+  // Called with each streamed delta; edits are skipped while another is in flight or too recent
+  async append(delta) {
+    this.text += delta;
+
+    const now = Date.now();
+    if (this.pendingEdit || now - this.lastEditAt < this.editInterval) {
+      return;
+    }
+
+    this.lastEditAt = now;
+    // Partial answers may contain unbalanced Markdown, so they are sent as plain text with a cursor
+    const preview = this.text.slice(0, TELEGRAM_MAX_LENGTH - 2).trimEnd() + ' ▌';
+    // A failed preview edit is already logged and the final edit will retry, so it is not rethrown
+    this.pendingEdit = this.edit(preview)
+      .catch(() => {})
+      .finally(() => {
+        this.pendingEdit = null;
+      });
+  }
+
+  async edit(text, options = {}) {
+    if (!this.messageId || text === this.lastSentText) {
+      return;
+    }
+
+    try {
+      await this.bot.editMessageText(text, {
+        chat_id: this.chatId,
+        message_id: this.messageId,
+        ...options
+      });
+      this.lastSentText = text;
+    } catch (error) {
+      // Telegram rejects edits that don't change the text; anything else is worth logging
+      if (!error.message?.includes('message is not modified')) {
+        console.error('Error editing streamed message:', error.message);
+        throw error;
+      }
+    }
+  }
+
+  // Replaces the streamed text with the final formatted answer, sending overflow as extra messages
+  async finish(finalText, splitMessage) {
+    if (this.pendingEdit) {
+      await this.pendingEdit;
+    }
+
+    const parts = finalText.length > TELEGRAM_MAX_LENGTH
+      ? splitMessage(finalText, TELEGRAM_MAX_LENGTH)
+      : [finalText];
+
+    // The model's Markdown isn't always valid for Telegram, and a split can cut through markup;
+    // any part Telegram rejects is sent again as plain text
+    for (const [index, part] of parts.entries()) {
+      // The first part replaces the streamed message, the rest are sent after it
+      const deliver = options => (index === 0 ? this.edit(part, options) : this.bot.sendMessage(this.chatId, part, options));
+      try {
+        await deliver({ parse_mode: 'Markdown' });
+      } catch (error) {
+        await deliver({});
+      }
+    }
+  }
+
+  async cancel() {
+    if (this.pendingEdit) {
+      await this.pendingEdit;
+    }
+    if (this.messageId) {
+      await this.bot.deleteMessage(this.chatId, this.messageId).catch(() => {});
+    }
+  }
+}
+
+module.exports = StreamingReply;
+module.exports.TELEGRAM_MAX_LENGTH = TELEGRAM_MAX_LENGTH;
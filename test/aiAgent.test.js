@@ -0,0 +1,240 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AIAgent = require('../aiAgent');
+const KnowledgeStore = require('../knowledgeStore');
+const ManualFactsStore = require('../manualFacts');
+const UsageTracker = require('../usageTracker');
+const { EmbeddingIndex, LocalEmbeddingProvider } = require('../embeddings');
+const { MockProvider, FallbackProvider } = require('../llmProviders');
+const { agentTools } = require('../agentTools');
+const { countTokens } = require('../tokenizer');
+
+const bridgeChunks = [
+  { url: 'https://guide.example.com/bridge', title: 'How to Bridge', source: 'guide', chunkIndex: 0, content: 'Bridge PEPU from Ethereum at pepubridge.com with the Native Bridge route.' },
+  { url: 'https://guide.example.com/staking', title: 'Staking', source: 'guide', chunkIndex: 0, content: 'Staking rewards are distributed per block, at a rate of 6.34 PEPU.' }
+];
+
+// An agent on a temp knowledge store, embedding index and facts file, with the local embedder
+function createAgent(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-agent-'));
+  const agent = new AIAgent(null, {
+    llmProvider: new MockProvider(),
+    embeddingProvider: new LocalEmbeddingProvider(),
+    factsStore: new ManualFactsStore({ factsFile: path.join(dir, 'manual_facts.json'), defaults: [] }),
+    usageTracker: new UsageTracker({ usageFile: path.join(dir, 'usage.json') }),
+    cache: false,
+    tools: [],
+    ...options
+  });
+  agent.dataProcessor.store = new KnowledgeStore(path.join(dir, 'knowledge.db'));
+  agent.dataProcessor.outputFile = path.join(dir, 'processed_content.json');
+  agent.embeddingIndex = new EmbeddingIndex(path.join(dir, 'embeddings.json'));
+  t.after(() => {
+    agent.dataProcessor.store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return agent;
+}
+
+// Writes the knowledge base and its embedding index the way another process (processing, a
+// refresh in the API server, a rollback) would
+async function rebuildElsewhere(agent, chunks) {
+  agent.dataProcessor.store.replaceChunks(chunks);
+  const index = new EmbeddingIndex(agent.embeddingIndex.indexFile);
+  await index.build(chunks, agent.embeddingProvider);
+  // mtimes of writes in quick succession can be equal on coarse filesystems
+  const later = new Date(Date.now() + 2000);
+  fs.utimesSync(index.indexFile, later, later);
+}
+
+test('picks up an embedding index rebuilt by another process', async (t) => {
+  const agent = createAgent(t);
+  await rebuildElsewhere(agent, bridgeChunks);
+  assert.ok(await agent.findSemanticChunks('bridge', await agent.dataProcessor.loadProcessedData()));
+
+  const updated = [...bridgeChunks, { url: 'https://guide.example.com/dex', title: 'DEX', source: 'guide', chunkIndex: 0, content: 'Swap tokens on the DEX.' }];
+  agent.dataProcessor.store.replaceChunks(updated);
+  // The store changed but the index wasn't rebuilt yet
+  assert.equal(await agent.findSemanticChunks('swap', await agent.dataProcessor.loadProcessedData()), null);
+
+  await rebuildElsewhere(agent, updated);
+  const results = await agent.findSemanticChunks('swap tokens', await agent.dataProcessor.loadProcessedData());
+  assert.ok(results);
+  assert.equal(results[0].url, 'https://guide.example.com/dex');
+});
+
+test('finds relevant chunks with the local embedder and full-text search', async (t) => {
+  const agent = createAgent(t);
+  await rebuildElsewhere(agent, bridgeChunks);
+
+  const [best] = await agent.findRelevantChunks('How do I bridge PEPU from Ethereum?', 1);
+  assert.equal(best.url, 'https://guide.example.com/bridge');
+  assert.ok(best.scores.rerank > 0);
+});
+
+test('answers from the fallback provider when the primary is out of quota', async (t) => {
+  const quotaError = Object.assign(new Error('429 You exceeded your current quota'), { status: 429, code: 'insufficient_quota' });
+  const secondary = new MockProvider({ name: 'secondary', responses: ['Use the Native Bridge at pepubridge.com [1].'] });
+  const agent = createAgent(t, {
+    llmProvider: new FallbackProvider(new MockProvider({ responses: [quotaError] }), secondary)
+  });
+  await rebuildElsewhere(agent, bridgeChunks);
+
+  const result = await agent.queryWithRelevantContext('How do I bridge PEPU from Ethereum?', { minRelevance: 0 });
+  assert.equal(result.answer, 'Use the Native Bridge at pepubridge.com [1].');
+  assert.equal(result.citations[0].url, 'https://guide.example.com/bridge');
+  assert.equal(secondary.calls.length, 1);
+});
+
+test('runs the tools the model calls and sends their results back', async (t) => {
+  const llm = new MockProvider({
+    responses: [
+      {
+        toolCalls: [
+          { id: 'call_1', name: 'get_pepu_price', arguments: '{}' },
+          { id: 'call_2', name: 'search_knowledge_base', arguments: '{"query":"staking rewards"}' }
+        ]
+      },
+      (request) => {
+        const results = request.messages.filter(message => message.role === 'tool');
+        assert.deepEqual(results.map(message => message.tool_call_id), ['call_1', 'call_2']);
+        assert.equal(JSON.parse(results[0].content).price, 0.0123);
+        const [source] = JSON.parse(results[1].content);
+        return `PEPU trades at $0.0123 and staking pays 6.34 PEPU per block [${source.source}].`;
+      }
+    ]
+  });
+  const agent = createAgent(t, {
+    llmProvider: llm,
+    tools: agentTools,
+    priceAPI: { getPEPUPrice: async () => ({ price: 0.0123 }) }
+  });
+  await rebuildElsewhere(agent, bridgeChunks);
+
+  const result = await agent.queryWithRelevantContext('What is the PEPU price and how much does staking pay?', { minRelevance: 0 });
+
+  const staking = result.citations.find(citation => citation.url === 'https://guide.example.com/staking');
+  assert.equal(result.answer, `PEPU trades at $0.0123 and staking pays 6.34 PEPU per block [${staking.number}].`);
+  assert.deepEqual(result.toolCalls.map(call => [call.name, call.live, call.error]), [
+    ['get_pepu_price', true, undefined],
+    ['search_knowledge_base', false, undefined]
+  ]);
+  assert.ok(llm.calls[0].tools.some(tool => tool.function.name === 'get_pepu_price'));
+});
+
+test('reports unknown tools to the model and withholds tools after the last round', async (t) => {
+  const call = { toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: '{}' }] };
+  const llm = new MockProvider({ responses: [call, call, 'No weather here.'] });
+  const agent = createAgent(t, { llmProvider: llm, tools: agentTools, maxToolRounds: 2 });
+  await rebuildElsewhere(agent, bridgeChunks);
+
+  const result = await agent.queryWithRelevantContext('What is the weather?', { minRelevance: 0 });
+
+  assert.equal(result.answer, 'No weather here.');
+  assert.deepEqual(result.toolCalls.map(log => log.error), ['Unknown tool: get_weather', 'Unknown tool: get_weather']);
+  assert.deepEqual(llm.calls.map(request => Boolean(request.tools)), [true, true, false]);
+});
+
+test('ranks chunks found by both full-text and semantic search first, and keeps each score', async (t) => {
+  const agent = createAgent(t);
+  await rebuildElsewhere(agent, [...bridgeChunks, { url: 'https://guide.example.com/fees', title: 'Fees', source: 'guide', chunkIndex: 0, content: 'Gas fees on Pepe Unchained are paid in PEPU.' }]);
+
+  const results = await agent.findRelevantChunks('Bridge PEPU from Ethereum', 3);
+
+  assert.equal(results[0].url, 'https://guide.example.com/bridge');
+  assert.ok(results[0].scores.lexical > 0 && results[0].scores.semantic > 0);
+  assert.ok(results.every((chunk, i) => i === 0 || chunk.score <= results[i - 1].score));
+  assert.ok(results.every(chunk => chunk.score === chunk.scores.rerank));
+});
+
+test('answers that the knowledge base does not cover a question below the relevance cutoff', async (t) => {
+  const llm = new MockProvider();
+  const agent = createAgent(t, { llmProvider: llm });
+  await rebuildElsewhere(agent, bridgeChunks);
+
+  // Without a cutoff, the weak semantic match is still returned
+  assert.equal((await agent.findRelevantChunks('Who won the football world cup?', 2)).length, 1);
+  assert.deepEqual(await agent.findRelevantChunks('Who won the football world cup?', 2, { minRelevance: 0.3 }), []);
+
+  const result = await agent.queryWithRelevantContext('Who won the football world cup?');
+  assert.equal(result.answer, "That doesn't seem to be covered in the knowledge base, so I can't answer it reliably.");
+  assert.deepEqual(result.citations, []);
+  assert.equal(llm.calls.length, 0);
+});
+
+test('rewrites a follow-up into a standalone question before retrieval', async (t) => {
+  const history = [
+    { role: 'user', content: 'How do I bridge PEPU from Ethereum?' },
+    { role: 'assistant', content: 'Use the Native Bridge at pepubridge.com [1].' }
+  ];
+  const llm = new MockProvider({ responses: ['"Which route should I pick to bridge PEPU from Ethereum?"', 'Pick the Native Bridge route [1].'] });
+  const agent = createAgent(t, { llmProvider: llm });
+  await rebuildElsewhere(agent, bridgeChunks);
+
+  const result = await agent.queryWithRelevantContext('Which route should I pick for that?', { history, minRelevance: 0 });
+
+  assert.equal(result.standaloneQuery, 'Which route should I pick to bridge PEPU from Ethereum?');
+  assert.equal(result.citations[0].url, 'https://guide.example.com/bridge');
+  assert.match(llm.calls[0].messages[1].content, /User: How do I bridge PEPU from Ethereum\?\nAssistant: Use the Native Bridge/);
+  assert.match(llm.calls[0].messages[1].content, /Follow-up question: Which route should I pick for that\?/);
+  // The answer request carries the conversation too
+  assert.ok(history.every(message => llm.calls[1].messages.some(sent => sent.content === message.content)));
+});
+
+test('uses the question as-is without history or when condensing fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const llm = new MockProvider({ responses: [new Error('connection reset')] });
+  const agent = createAgent(t, { llmProvider: llm });
+
+  assert.equal(await agent.condenseQuery('What is PEPU?', []), 'What is PEPU?');
+  assert.equal(llm.calls.length, 0);
+  assert.equal(await agent.condenseQuery('And its price?', [{ role: 'user', content: 'What is PEPU?' }]), 'And its price?');
+  assert.equal(llm.calls.length, 1);
+});
+
+test('numbers context chunks by page, matching the citations returned with the answer', async (t) => {
+  const chunks = [
+    ...bridgeChunks,
+    { url: 'https://guide.example.com/bridge', title: 'How to Bridge', source: 'guide', chunkIndex: 1, headingPath: 'Wallets', content: 'Bridge PEPU with a wallet that supports custom networks, such as MetaMask.' }
+  ];
+  const llm = new MockProvider({ responses: ['Bridge PEPU at pepubridge.com with MetaMask [1]; staking pays 6.34 PEPU [2].'] });
+  const agent = createAgent(t, { llmProvider: llm });
+  await rebuildElsewhere(agent, chunks);
+
+  const result = await agent.queryWithRelevantContext('How do I bridge PEPU and what does staking pay?', { topK: 3, minRelevance: 0 });
+
+  assert.deepEqual(result.citations.map(citation => [citation.number, citation.url]), [
+    [1, 'https://guide.example.com/bridge'],
+    [2, 'https://guide.example.com/staking']
+  ]);
+  assert.deepEqual(result.sources, ['https://guide.example.com/bridge', 'https://guide.example.com/staking']);
+  // Both bridge chunks are labelled [1] in the prompt
+  const prompt = llm.calls[0].messages.map(message => message.content).join('\n');
+  assert.equal(prompt.match(/\[1\] How to Bridge.*\(https:\/\/guide\.example\.com\/bridge\)/g).length, 2);
+  assert.match(prompt, /\[2\] Staking \(https:\/\/guide\.example\.com\/staking\)/);
+});
+
+test('packs whole chunks in rank order up to the token budget', () => {
+  const agent = Object.create(AIAgent.prototype);
+  const chunk = (slug, content) => ({ url: `https://guide.example.com/${slug}`, title: slug, content });
+  const [bridge, staking] = bridgeChunks;
+  const long = chunk('roadmap', 'The roadmap has many phases. '.repeat(40).trim());
+  const fees = chunk('fees', 'Fees are low.');
+  const cost = (item, number) => countTokens(agent.contextLabel(item, number)) + 2 + countTokens(item.content);
+  const budget = cost(bridge, 1) + cost(staking, 2) + cost(fees, 3);
+
+  // The long chunk doesn't fit, but the smaller one after it still does
+  const packed = agent.packContext([bridge, staking, long, fees], budget);
+  assert.deepEqual(packed.map(item => item.url), [bridge.url, staking.url, fees.url]);
+  assert.deepEqual(agent.packContext([bridge, staking, long, fees], budget - 1).map(item => item.url), [bridge.url, staking.url]);
+
+  // Only the best chunk is ever cut, at a sentence boundary
+  const [cut] = agent.packContext([long, fees], 60);
+  assert.equal(cut.url, long.url);
+  assert.match(cut.content, /^(The roadmap has many phases\. ?)+$/);
+  assert.ok(cost(cut, 1) <= 60);
+  assert.deepEqual(agent.packContext([long], 5), []);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AnswerCache = require('../answerCache');
+const { LocalEmbeddingProvider } = require('../embeddings');
+
+// The local embedder, counting the texts it is asked to embed
+function countingProvider() {
+  const provider = new LocalEmbeddingProvider();
+  const embed = provider.embed.bind(provider);
+  provider.texts = [];
+  provider.embed = async (texts) => {
+    provider.texts.push(...texts);
+    return embed(texts);
+  };
+  return provider;
+}
+
+test('a miss followed by set embeds the question once', async () => {
+  const provider = countingProvider();
+  const cache = new AnswerCache({ embeddingProvider: provider });
+
+  assert.equal(await cache.get('How do I bridge PEPU?', 'v1'), null);
+  await cache.set('How do I bridge PEPU?', { answer: 'Use pepubridge.com.' }, 'v1');
+
+  assert.deepEqual(provider.texts, ['how do i bridge pepu']);
+  assert.equal((await cache.get('how do I bridge PEPU', 'v1')).cached, 'exact');
+  assert.equal(provider.texts.length, 1);
+});
+
+test('near-duplicate questions are still served from the stored embedding', async () => {
+  const cache = new AnswerCache({ embeddingProvider: countingProvider(), similarityThreshold: 0.8 });
+
+  await cache.get('How do I bridge PEPU to Pepe Unchained?', 'v1');
+  await cache.set('How do I bridge PEPU to Pepe Unchained?', { answer: 'Use pepubridge.com.' }, 'v1');
+
+  const hit = await cache.get('How do I bridge my PEPU to Pepe Unchained', 'v1');
+  assert.equal(hit.cached, 'semantic');
+  assert.equal(hit.answer, 'Use pepubridge.com.');
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCitations, citationNumberFor, extractCitedNumbers, formatCitationsPlain, formatCitationsMarkdown } = require('../citations');
+
+const chunks = [
+  { url: 'https://guide.example.com/bridge', title: 'How to Bridge | Pepe Unchained Guide', headingPath: 'How to Bridge > Fees', chunkIndex: 1 },
+  { url: 'https://guide.example.com/staking', title: 'Staking', headingPath: 'Staking', chunkIndex: 0 },
+  { url: 'https://guide.example.com/bridge', title: 'How to Bridge | Pepe Unchained Guide', headingPath: 'How to Bridge > Wallets', chunkIndex: 0 },
+  { url: 'file:///docs/ama.md', title: 'AMA [March]', filePath: 'docs/ama.md', chunkIndex: 0 }
+];
+
+test('numbers one citation per URL in retrieval order', () => {
+  const citations = buildCitations(chunks);
+
+  assert.deepEqual(citations.map(citation => [citation.number, citation.url, citation.title]), [
+    [1, 'https://guide.example.com/bridge', 'How to Bridge › Fees'],
+    [2, 'https://guide.example.com/staking', 'Staking'],
+    [3, 'file:///docs/ama.md', 'AMA [March]']
+  ]);
+  // Every chunk of a page shares its page's number
+  assert.deepEqual(chunks.map(chunk => citationNumberFor(citations, chunk)), [1, 2, 1, 3]);
+  assert.equal(citationNumberFor(citations, { url: 'https://example.com/other' }), null);
+});
+
+test('footers list the cited sources once, or all of them when nothing was cited', () => {
+  const citations = buildCitations(chunks);
+  const answer = 'Bridge at pepubridge.com [1], fees are low [1, 3].';
+
+  assert.deepEqual([...extractCitedNumbers(answer)], [1, 3]);
+  assert.equal(formatCitationsPlain(citations, answer), [
+    '[1] How to Bridge › Fees - https://guide.example.com/bridge',
+    '[3] AMA [March] - docs/ama.md'
+  ].join('\n'));
+  assert.equal(formatCitationsPlain(citations, 'No markers here.').split('\n').length, 3);
+
+  // Ingested files have no link, and labels lose characters that break Markdown
+  assert.equal(formatCitationsMarkdown(citations, answer), '📚 [1] [How to Bridge › Fees](https://guide.example.com/bridge) · [3] AMA March');
+  assert.equal(formatCitationsMarkdown([], answer), '');
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConversationMemory = require('../conversationMemory');
+const { estimateTokens } = require('../conversationMemory');
+
+test('keeps the newest messages that fit in the token budget, starting with a user message', () => {
+  const memory = new ConversationMemory();
+  memory.addTurn(1, 'How do I bridge PEPU?', 'Use pepubridge.com with the Native Bridge route.');
+  memory.addTurn(1, 'What are the fees?', 'You pay gas in ETH.');
+
+  assert.equal(memory.getWindow(1).length, 4);
+
+  // Room for the last answer and one more message: the window can't start with the first answer
+  const budget = estimateTokens('You pay gas in ETH.') + estimateTokens('What are the fees?') + estimateTokens('Use pepubridge.com with the Native Bridge route.');
+  assert.deepEqual(memory.getWindow(1, budget).map(message => message.content), ['What are the fees?', 'You pay gas in ETH.']);
+  assert.deepEqual(memory.getWindow(1, estimateTokens('You pay gas in ETH.')), []);
+});
+
+test('stores at most maxMessages per chat and keeps chats apart', () => {
+  const memory = new ConversationMemory({ maxMessages: 3 });
+  memory.addTurn('a', 'First question', 'First answer');
+  memory.addTurn('a', 'Second question', 'Second answer');
+  memory.add('b', 'user', 'Question in another chat');
+
+  assert.deepEqual(memory.histories.get('a').map(message => message.content), ['First answer', 'Second question', 'Second answer']);
+  assert.deepEqual(memory.getWindow('a').map(message => message.content), ['Second question', 'Second answer']);
+  assert.deepEqual(memory.getWindow('b'), [{ role: 'user', content: 'Question in another chat' }]);
+
+  memory.clear('a');
+  assert.deepEqual(memory.getWindow('a'), []);
+  assert.equal(memory.getWindow('b').length, 1);
+});
@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataProcessor = require('../dataProcessor');
+const DocumentIngester = require('../documentIngester');
+const KnowledgeStore = require('../knowledgeStore');
+const { countTokens, splitSentences } = require('../tokenizer');
+
+// A processor reading and writing a temp directory instead of data/
+function createProcessor(pages) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-processor-'));
+  fs.writeFileSync(path.join(dataDir, 'scraped_content.json'), JSON.stringify(pages));
+
+  const processor = new DataProcessor();
+  processor.dataDir = dataDir;
+  processor.inputFile = path.join(dataDir, 'scraped_content.json');
+  processor.outputFile = path.join(dataDir, 'processed_content.json');
+  processor.store = new KnowledgeStore(path.join(dataDir, 'knowledge.db'));
+  processor.ingester = new DocumentIngester({ dataDir });
+  processor.registry.configFile = path.join(dataDir, 'sources.json');
+  return processor;
+}
+
+function page(slug, body) {
+  return {
+    url: `https://guide.example.com/${slug}`,
+    title: slug,
+    source: 'guide',
+    scrapedAt: '2025-01-01T00:00:00.000Z',
+    content: `Skip to content\nHome\nBridge\nStaking\n\n# ${slug}\n\n${body}\n\n© 2025 Example. All rights reserved.`
+  };
+}
+
+test('processData strips navigation repeated across a source and keeps crypto values', async (t) => {
+  const processor = createProcessor([
+    page('bridge', 'Bridge $PEPU to Pepe Unchained (chain ID 97741) through https://pepeunchained.com/bridge. The bridge fee is 0.3% of the amount.'),
+    page('staking', 'Stake at contract 0x93aA0ccD1e5628d3A841C4DbdF602D9eb04085d6 for rewards paid in $PEPU every block.'),
+    page('dex', 'Swap tokens on the DEX for less than $0.01 in gas. Liquidity providers earn 0.25% of every trade.')
+  ]);
+  t.after(() => {
+    processor.store.close();
+    fs.rmSync(processor.dataDir, { recursive: true, force: true });
+  });
+
+  const chunks = await processor.processData();
+  const content = chunks.map(chunk => chunk.content).join('\n');
+
+  assert.equal(chunks.length, 3);
+  for (const navLine of ['Skip to content', 'Home', 'All rights reserved']) {
+    assert.ok(!content.includes(navLine), `"${navLine}" should be removed`);
+  }
+  for (const value of ['$PEPU', '97741', 'https://pepeunchained.com/bridge', '0.3%', '0x93aA0ccD1e5628d3A841C4DbdF602D9eb04085d6', '$0.01']) {
+    assert.ok(content.includes(value), `"${value}" should be kept`);
+  }
+  assert.ok(chunks.every(chunk => chunk.tokenCount > 0));
+});
+
+test('a scrape without usable text reports zero averages', async (t) => {
+  // Too short to keep
+  const processor = createProcessor([{ url: 'https://guide.example.com/empty', title: 'Empty', source: 'guide', content: 'Loading...' }]);
+  t.after(() => {
+    processor.store.close();
+    fs.rmSync(processor.dataDir, { recursive: true, force: true });
+  });
+  const log = t.mock.method(console, 'log', () => {});
+
+  assert.deepEqual(await processor.processData({ save: false }), []);
+
+  const output = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+  assert.match(output, /Average chunk size: 0 tokens, 0 characters/);
+  assert.ok(!output.includes('NaN'));
+});
+
+test('documents processed without a local scrape are added to the current knowledge base', async (t) => {
+  const processor = createProcessor([
+    page('bridge', 'Bridge $PEPU to Pepe Unchained through the Native Bridge route at pepubridge.com.'),
+    page('staking', 'Stake $PEPU on Pepe Unchained to earn rewards that are distributed every block.')
+  ]);
+  t.after(() => {
+    processor.store.close();
+    fs.rmSync(processor.dataDir, { recursive: true, force: true });
+  });
+  t.mock.method(console, 'log', () => {});
+  await processor.processData();
+  // A fresh clone has the processed data but no scrape
+  fs.rmSync(processor.inputFile);
+
+  const faq = {
+    url: 'file:///docs/faq.md',
+    title: 'FAQ',
+    source: 'file',
+    content: '# FAQ\n\nThe PEPU token is the native token of the Pepe Unchained Layer 2 blockchain.',
+    documentId: 'doc-1',
+    filePath: 'docs/faq.md'
+  };
+  const withDocument = await processor.processData({ keepMissingPages: true, documents: [faq] });
+  assert.deepEqual(withDocument.map(chunk => chunk.url).sort(), [
+    'file:///docs/faq.md',
+    'https://guide.example.com/bridge',
+    'https://guide.example.com/staking'
+  ]);
+
+  // Removing the document drops its chunks and keeps the pages
+  const withoutDocument = await processor.processData({ keepMissingPages: true, documents: [], save: false });
+  assert.deepEqual(withoutDocument.map(chunk => chunk.url).sort(), ['https://guide.example.com/bridge', 'https://guide.example.com/staking']);
+
+  // Without keepMissingPages, pages missing from the scrape count as removed
+  assert.deepEqual((await processor.processData({ documents: [faq], save: false })).map(chunk => chunk.url), ['file:///docs/faq.md']);
+});
+
+test('chunks stay within the token limit and start with the end of the previous chunk', () => {
+  const processor = new DataProcessor();
+  const text = Array.from({ length: 30 }, (_, i) => `Route ${i} bridges PEPU from Ethereum for a fee of ${i} gwei. `).join('');
+
+  const chunks = processor.chunkText(text, 60, 20);
+  assert.ok(chunks.length > 5);
+  assert.ok(chunks.every(chunk => countTokens(chunk) <= 60));
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = splitSentences(chunks[i - 1]).map(sentence => sentence.trim());
+    const carried = splitSentences(chunks[i]).map(sentence => sentence.trim()).filter(sentence => previous.includes(sentence));
+    // Whole sentences from the end of the previous chunk, up to the overlap, never all of it
+    assert.ok(carried.length > 0 && carried.length < previous.length);
+    assert.ok(chunks[i].startsWith(carried.join(' ')));
+    assert.deepEqual(previous.slice(-carried.length), carried);
+    assert.ok(countTokens(carried.join(' ')) <= 20);
+  }
+  // Every sentence makes it into a chunk
+  assert.ok(chunks[chunks.length - 1].endsWith('Route 29 bridges PEPU from Ethereum for a fee of 29 gwei.'));
+
+  assert.equal(processor.chunkText(text, 60, 0).join(' '), text.trim());
+});
+
+test('text without sentence breaks and oversized Markdown sections are split within the limit', () => {
+  const processor = new DataProcessor();
+  const words = Array.from({ length: 200 }, (_, i) => `word${i}`).join(' ');
+  const pieces = processor.chunkText(words, 50, 10);
+  assert.ok(pieces.length > 1);
+  assert.ok(pieces.every(piece => countTokens(piece) <= 50));
+  assert.equal(pieces.join(' '), words);
+
+  const markdown = `# Bridge\n\n${words}\n\n| Route | Fee |\n| --- | --- |\n| Native | 0.3% |\n\n## Fees\n\nFees are low.`;
+  const chunks = processor.chunkMarkdown(markdown, 50, 10);
+  assert.ok(chunks.every(chunk => chunk.tokenCount <= 50 && chunk.tokenCount === countTokens(chunk.content)));
+  assert.ok(chunks[0].content.startsWith('# Bridge\n\nword0'));
+  assert.deepEqual(chunks.slice(-1).map(chunk => [chunk.headingPath, chunk.content]), [['Bridge > Fees', '## Fees\n\nFees are low.']]);
+});
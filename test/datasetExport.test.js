@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chunkId, formatJSONL, formatCSV, formatChatJSONL, loadQAPairs, findUnsupportedSources } = require('../datasetExport');
+const { DEFAULT_FACTS } = require('../manualFacts');
+
+const chunks = [
+  {
+    url: 'https://guide.example.com/bridge',
+    title: 'How to Bridge',
+    source: 'guide',
+    headingPath: 'How to Bridge > Fees',
+    chunkIndex: 1,
+    tokenCount: 12,
+    content: 'The fee is 0.3%, paid in "ETH".\nIt takes about 10 minutes.'
+  },
+  {
+    url: 'https://example.com',
+    title: 'Pepe Unchained facts',
+    source: 'manual',
+    factId: 'f2',
+    chunkIndex: 0,
+    content: 'PEPU is the native token.'
+  }
+];
+
+test('chunk JSONL has one record per line with stable IDs', () => {
+  const records = formatJSONL(chunks).trim().split('\n').map(line => JSON.parse(line));
+
+  assert.deepEqual(records.map(record => record.id), ['https://guide.example.com/bridge#1', 'manual:f2']);
+  assert.equal(records[0].headingPath, 'How to Bridge > Fees');
+  assert.equal(records[0].content, chunks[0].content);
+  assert.equal(chunkId({ url: 'https://example.com' }), 'https://example.com#0');
+});
+
+test('CSV quotes fields with commas, quotes and line breaks', () => {
+  const [header, first, second] = formatCSV(chunks).split('\r\n');
+
+  assert.equal(header, 'id,url,title,source,heading_path,chunk_index,token_count,content');
+  assert.equal(first, 'https://guide.example.com/bridge#1,https://guide.example.com/bridge,How to Bridge,guide,How to Bridge > Fees,1,12,"The fee is 0.3%, paid in ""ETH"".\nIt takes about 10 minutes."');
+  assert.equal(second, 'manual:f2,https://example.com,Pepe Unchained facts,manual,,0,,PEPU is the native token.');
+});
+
+test('chat JSONL has a system, user and assistant message per pair', () => {
+  const lines = formatChatJSONL([{ question: 'What is PEPU?', answer: 'The native token.' }], 'Be brief.').trim().split('\n');
+
+  assert.equal(lines.length, 1);
+  assert.deepEqual(JSON.parse(lines[0]), {
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'What is PEPU?' },
+      { role: 'assistant', content: 'The native token.' }
+    ]
+  });
+});
+
+test('curated pairs only make claims the knowledge base backs up', async () => {
+  const pairs = await loadQAPairs(path.join(__dirname, '..', 'qa_pairs.json'));
+  const knowledgeBase = [
+    ...JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'processed_content.json'), 'utf-8')),
+    ...DEFAULT_FACTS.filter(fact => fact.url).map(fact => ({ url: fact.url, content: fact.text }))
+  ];
+
+  assert.ok(pairs.length > 0);
+  assert.deepEqual(findUnsupportedSources(pairs, knowledgeBase), []);
+  // Every number in an answer comes from one of its quotes
+  for (const pair of pairs) {
+    const quotes = pair.sources.map(source => source.quote).join(' ');
+    for (const number of pair.answer.match(/\d+(\.\d+)?/g) || []) {
+      assert.ok(quotes.includes(number), `"${number}" in "${pair.question}" is not in its sources`);
+    }
+  }
+});
+
+test('reports quotes that are not in the cited page', () => {
+  const pairs = [{
+    question: 'How long does bridging take?',
+    answer: 'About an hour.',
+    sources: [{ url: 'https://guide.example.com/bridge', quote: 'Bridging takes about an hour.' }]
+  }];
+
+  assert.deepEqual(findUnsupportedSources(pairs, chunks), [{
+    question: 'How long does bridging take?',
+    url: 'https://guide.example.com/bridge',
+    quote: 'Bridging takes about an hour.'
+  }]);
+  assert.deepEqual(findUnsupportedSources([{ ...pairs[0], sources: [{ url: 'https://guide.example.com/bridge', quote: 'paid in "ETH".  It takes' }] }], chunks), []);
+});
+
+test('rejects incomplete or unsourced pairs', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-qa-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'qa_pairs.json');
+  fs.writeFileSync(file, JSON.stringify({
+    pairs: [
+      { question: 'What is PEPU?', answer: ' ', sources: [{ url: 'https://example.com', quote: 'PEPU' }] },
+      { question: 'What is PEPU?', answer: 'The native token.' }
+    ]
+  }));
+
+  await assert.rejects(loadQAPairs(file), /pair 1 has no answer; pair 2 needs sources with a url and a quote/);
+});
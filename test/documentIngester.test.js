@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentIngester = require('../documentIngester');
+const { globToRegExp } = require('../documentIngester');
+
+// A temp directory holding the files to ingest, with the store in its data/ subdirectory
+function createIngester(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-ingest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return new DocumentIngester({ dataDir: path.join(dir, 'data'), baseDir: dir });
+}
+
+test('globs match within a segment with * and across segments with **', () => {
+  assert.equal(globToRegExp('docs/*.md').test('docs/faq.md'), true);
+  assert.equal(globToRegExp('docs/*.md').test('docs/ama/2024.md'), false);
+  assert.equal(globToRegExp('docs/**/*.md').test('docs/ama/2024/june.md'), true);
+  assert.equal(globToRegExp('docs/**/*.md').test('docs/faq.md'), true);
+  assert.equal(globToRegExp('docs/faq?.md').test('docs/faq2.md'), true);
+  assert.equal(globToRegExp('docs/faq?.md').test('docs/faq.md'), false);
+  // Dots are literal
+  assert.equal(globToRegExp('docs/*.md').test('docs/faqXmd'), false);
+});
+
+test('expands paths, directories and globs to supported files', async (t) => {
+  const ingester = createIngester(t, {
+    'docs/faq.md': '# FAQ',
+    'docs/logo.png': 'png',
+    'docs/ama/june.html': '<p>AMA</p>',
+    'docs/ama/notes.txt': 'notes',
+    'docs/.drafts/draft.md': 'draft'
+  });
+  const root = ingester.baseDir;
+  const expand = async pattern => (await ingester.expand(pattern)).map(file => path.relative(root, path.resolve(file))).sort();
+
+  assert.deepEqual(await expand(path.join(root, 'docs')), ['docs/ama/june.html', 'docs/ama/notes.txt', 'docs/faq.md']);
+  assert.deepEqual(await expand(path.join(root, 'docs/*.md')), ['docs/faq.md']);
+  assert.deepEqual(await expand(path.join(root, 'docs/**/*.txt')), ['docs/ama/notes.txt']);
+  assert.deepEqual(await expand(path.join(root, 'docs/logo.png')), []);
+  await assert.rejects(ingester.expand(path.join(root, 'missing.md')), /ENOENT/);
+});
+
+test('ingesting a file again updates it in place, and unchanged files are skipped', async (t) => {
+  const ingester = createIngester(t, {
+    'faq.md': '# Bridge FAQ\n\nThe bridge takes a few minutes.',
+    'ama.html': '<html><title>June AMA</title><body><nav>Menu</nav><p>Staking opens in July.</p></body></html>',
+    'empty.txt': '  '
+  });
+  const file = name => path.join(ingester.baseDir, name);
+
+  const first = await ingester.ingest([file('faq.md'), file('ama.html'), file('empty.txt'), file('missing.md')]);
+  assert.deepEqual(first.added, [file('faq.md'), file('ama.html')]);
+  assert.deepEqual(first.failed.map(failure => [path.basename(failure.file), failure.reason.split(':')[0]]), [['missing.md', 'ENOENT'], ['empty.txt', 'no text content']]);
+
+  const [faq, ama] = JSON.parse(fs.readFileSync(ingester.storeFile, 'utf-8'));
+  assert.deepEqual([faq.title, faq.format, faq.filePath], ['Bridge FAQ', 'markdown', 'faq.md']);
+  assert.deepEqual([ama.title, ama.content], ['June AMA', 'Staking opens in July.']);
+
+  fs.writeFileSync(file('faq.md'), '# Bridge FAQ\n\nThe bridge takes up to an hour.');
+  const second = await ingester.ingest([file('faq.md'), file('ama.html')]);
+  assert.deepEqual([second.added, second.updated, second.unchanged], [[], [file('faq.md')], [file('ama.html')]]);
+
+  const documents = JSON.parse(fs.readFileSync(ingester.storeFile, 'utf-8'));
+  assert.deepEqual(documents.map(document => document.id), [faq.id, ama.id]);
+  assert.match(documents[0].content, /up to an hour/);
+});
+
+test('removing a document only persists once saved', async (t) => {
+  const ingester = createIngester(t, { 'faq.md': '# FAQ\n\nAnswers.', 'ama.txt': 'Questions.' });
+  await ingester.ingest([path.join(ingester.baseDir, 'faq.md'), path.join(ingester.baseDir, 'ama.txt')]);
+  const [faq, ama] = ingester.documents;
+
+  assert.equal(await ingester.remove('doc-unknown'), null);
+  assert.equal((await ingester.remove(faq.id)).title, 'FAQ');
+  assert.deepEqual(ingester.toPages().map(page => [page.documentId, page.source, page.filePath]), [[ama.id, 'file', 'ama.txt']]);
+
+  // Not saved yet, so the store still has both
+  assert.equal((await new DocumentIngester({ dataDir: ingester.dataDir }).getPages()).length, 2);
+  await ingester.save();
+  assert.deepEqual((await new DocumentIngester({ dataDir: ingester.dataDir }).getPages()).map(page => page.documentId), [ama.id]);
+});
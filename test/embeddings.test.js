@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EmbeddingIndex, LocalEmbeddingProvider, cosineSimilarity } = require('../embeddings');
+
+const chunks = [
+  { url: 'https://guide.example.com/bridge', title: 'How to Bridge', content: 'Bridge PEPU from Ethereum to the Layer 2 with the native bridge.' },
+  { url: 'https://guide.example.com/staking', title: 'Staking', content: 'Stake PEPU to earn staking rewards every block.' },
+  { url: 'https://guide.example.com/dex', title: 'DEX', content: 'Swap tokens on the DEX with low gas fees.' }
+];
+
+function createIndex(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-embeddings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new EmbeddingIndex(path.join(dir, 'embeddings.json'));
+}
+
+test('the local embedder is deterministic and ranks related text higher', async () => {
+  const provider = new LocalEmbeddingProvider();
+  const [a, b] = await provider.embed(['staking rewards for PEPU', 'staking rewards for PEPU']);
+  const [related, unrelated] = await provider.embed(['how do staking rewards work', 'swap tokens on the DEX']);
+
+  assert.deepEqual(a, b);
+  assert.equal(a.length, 256);
+  assert.ok(cosineSimilarity(a, related) > cosineSimilarity(a, unrelated));
+});
+
+test('builds, saves and searches an index offline', async (t) => {
+  const provider = new LocalEmbeddingProvider();
+  const index = createIndex(t);
+  await index.build(chunks, provider);
+
+  const loaded = new EmbeddingIndex(index.indexFile);
+  await loaded.load();
+  assert.equal(loaded.isCompatible(chunks, provider), true);
+
+  const [queryVector] = await provider.embed(['how do I stake PEPU for rewards']);
+  const [best] = loaded.search(queryVector, chunks, 2);
+  assert.equal(best.url, 'https://guide.example.com/staking');
+});
+
+test('an index no longer fits once the chunks or the embedder change', async (t) => {
+  const provider = new LocalEmbeddingProvider();
+  const index = createIndex(t);
+  await index.build(chunks, provider);
+
+  const edited = chunks.map((chunk, i) => i === 1 ? { ...chunk, content: 'Staking rewards changed.' } : chunk);
+  assert.equal(index.isCompatible(edited, provider), false);
+  assert.equal(index.isCompatible(chunks.slice(1), provider), false);
+  assert.equal(index.isCompatible(chunks, new LocalEmbeddingProvider({ dimensions: 64 })), false);
+  assert.equal(new EmbeddingIndex(index.indexFile).isCompatible(chunks, provider), false);
+});
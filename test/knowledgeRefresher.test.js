@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KnowledgeRefresher = require('../knowledgeRefresher');
+const { checkSanity } = require('../knowledgeRefresher');
+const DataProcessor = require('../dataProcessor');
+const DocumentIngester = require('../documentIngester');
+const KnowledgeStore = require('../knowledgeStore');
+const { LocalEmbeddingProvider } = require('../embeddings');
+
+function page(slug) {
+  return {
+    url: `https://guide.example.com/${slug}`,
+    title: slug,
+    source: 'guide',
+    content: `# ${slug}\n\nThe ${slug} page explains how ${slug} works on Pepe Unchained.`
+  };
+}
+
+// A scraper that "crawls" the given pages, writing them where scrapeAll() is told to
+function fakeScraper(dataDir, pages) {
+  return {
+    outputFile: path.join(dataDir, 'scraped_content.json'),
+    stateFile: path.join(dataDir, 'scrape_state.json'),
+    runSummary: { added: pages, changed: [], removed: [] },
+    async scrapeAll(options) {
+      fs.writeFileSync(options.outputFile, JSON.stringify(pages));
+      fs.writeFileSync(options.stateFile, JSON.stringify({ pages: Object.fromEntries(pages.map(p => [p.url, {}])) }));
+      return pages;
+    }
+  };
+}
+
+function createRefresher(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-refresh-'));
+  const processor = new DataProcessor();
+  processor.dataDir = dataDir;
+  processor.inputFile = path.join(dataDir, 'scraped_content.json');
+  processor.outputFile = path.join(dataDir, 'processed_content.json');
+  processor.store = new KnowledgeStore(path.join(dataDir, 'knowledge.db'));
+  processor.ingester = new DocumentIngester({ dataDir });
+  processor.registry.configFile = path.join(dataDir, 'sources.json');
+
+  const refresher = new KnowledgeRefresher({
+    processor,
+    minChunks: 3,
+    embeddingProvider: new LocalEmbeddingProvider(),
+    indexFile: path.join(dataDir, 'embeddings.json')
+  });
+  t.after(() => {
+    processor.store.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  return { refresher, processor, dataDir };
+}
+
+test('a rejected refresh keeps the last good scrape and knowledge base', async (t) => {
+  const { refresher, processor, dataDir } = createRefresher(t);
+  const goodPages = ['bridge', 'staking', 'dex', 'faq'].map(page);
+
+  refresher.createScraper = () => fakeScraper(dataDir, goodPages);
+  const first = await refresher.run();
+  assert.equal(first.ok, true);
+  assert.equal(await processor.countChunks(), 4);
+
+  refresher.createScraper = () => fakeScraper(dataDir, [page('bridge')]);
+  const second = await refresher.run();
+  assert.equal(second.ok, false);
+  assert.match(second.reason, /only 1 chunks/);
+
+  // The raw scrape, scrape state and store are those of the first run; no temp files are left
+  assert.deepEqual(JSON.parse(fs.readFileSync(processor.inputFile, 'utf-8')), goodPages);
+  assert.equal(Object.keys(JSON.parse(fs.readFileSync(path.join(dataDir, 'scrape_state.json'), 'utf-8')).pages).length, 4);
+  assert.equal(await processor.countChunks(), 4);
+  assert.deepEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('the sanity check rejects empty and shrunken chunk sets', () => {
+  const chunks = Array.from({ length: 10 }, (_, i) => ({ url: `https://guide.example.com/${i}`, content: `Chunk ${i}` }));
+
+  assert.equal(checkSanity(chunks, 0), null);
+  assert.equal(checkSanity([], 0), 'only 0 chunks (minimum 10)');
+  assert.equal(checkSanity(chunks, 30), '10 chunks is less than 50% of the current 30');
+  assert.equal(checkSanity(chunks, 30, { minRatio: 0.3 }), null);
+  assert.equal(checkSanity(chunks.slice(0, 2), 0, { minChunks: 2 }), null);
+});
+
+test('the embedding index is only replaced once the store has the new chunks', async (t) => {
+  const { refresher, processor, dataDir } = createRefresher(t);
+  refresher.createScraper = () => fakeScraper(dataDir, ['bridge', 'staking', 'dex'].map(page));
+  assert.equal((await refresher.run()).ok, true);
+  const index = fs.readFileSync(refresher.indexFile, 'utf-8');
+
+  t.mock.method(processor, 'saveChunks', async () => {
+    throw new Error('database is locked');
+  });
+  refresher.createScraper = () => fakeScraper(dataDir, ['bridge', 'staking', 'dex', 'faq'].map(page));
+  const result = await refresher.run();
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'database is locked');
+  assert.equal(fs.readFileSync(refresher.indexFile, 'utf-8'), index);
+  assert.equal(JSON.parse(fs.readFileSync(processor.inputFile, 'utf-8')).length, 3);
+  assert.deepEqual(fs.readdirSync(dataDir).filter(file => file.endsWith('.tmp')), []);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildManifest, diffChunks, hashChunk } = require('../knowledgeSnapshots');
+
+function chunk(url, chunkIndex, content, headingPath) {
+  return { url, title: url, source: 'guide', chunkIndex, content, ...(headingPath ? { headingPath } : {}) };
+}
+
+const before = [
+  chunk('https://guide.example.com/bridge', 0, 'Bridging takes 10 minutes.', 'Bridge'),
+  chunk('https://guide.example.com/bridge', 1, 'The fee is 0.3%.', 'Bridge > Fees'),
+  chunk('https://guide.example.com/staking', 0, 'Stake $PEPU for rewards.'),
+  chunk('https://guide.example.com/old', 0, 'This page was removed.')
+];
+
+test('reports added, removed and modified chunks per URL', () => {
+  const after = [
+    chunk('https://guide.example.com/bridge', 0, 'A new intro section.', 'Bridge > Intro'),
+    chunk('https://guide.example.com/bridge', 1, 'Bridging takes 10 minutes.', 'Bridge'),
+    chunk('https://guide.example.com/bridge', 2, 'The fee is 0.5%.', 'Bridge > Fees'),
+    chunk('https://guide.example.com/staking', 0, 'Stake $PEPU for rewards.'),
+    chunk('https://guide.example.com/new', 0, 'A brand new page.')
+  ];
+
+  const { pages, totals } = diffChunks(before, after);
+
+  assert.deepEqual(totals, { added: 2, removed: 1, modified: 1, unchanged: 2 });
+  assert.deepEqual(pages.map(page => [page.url, page.status]), [
+    ['https://guide.example.com/bridge', 'changed'],
+    ['https://guide.example.com/new', 'added'],
+    ['https://guide.example.com/old', 'removed']
+  ]);
+
+  const [bridge] = pages;
+  assert.deepEqual(bridge.added.map(added => added.headingPath), ['Bridge > Intro']);
+  assert.equal(bridge.modified[0].before.content, 'The fee is 0.3%.');
+  assert.equal(bridge.modified[0].after.content, 'The fee is 0.5%.');
+});
+
+test('identical chunk lists have no differences', () => {
+  assert.deepEqual(diffChunks(before, before.map(item => ({ ...item }))).pages, []);
+});
+
+test('manifest counts sources and hashes chunks per URL', () => {
+  const manifest = buildManifest(before);
+
+  assert.equal(manifest.chunks, 4);
+  assert.equal(manifest.pages, 3);
+  assert.deepEqual(manifest.sources, { guide: { pages: 3, chunks: 4 } });
+  assert.deepEqual(manifest.hashes['https://guide.example.com/bridge'], before.slice(0, 2).map(hashChunk));
+  assert.notEqual(buildManifest(before.slice(1)).hash, manifest.hash);
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KnowledgeStore = require('../knowledgeStore');
+
+const chunks = [
+  {
+    url: 'https://guide.example.com/bridge',
+    title: 'How to Bridge',
+    source: 'guide',
+    headingPath: 'How to Bridge > Fees',
+    chunkIndex: 0,
+    totalChunks: 1,
+    content: 'Bridging from Ethereum costs a 0.3% fee and takes about 10 minutes.',
+    tokenCount: 17,
+    aliases: [{ url: 'https://example.com/bridge', title: 'Bridge', chunkIndex: 0, source: 'main' }]
+  },
+  {
+    url: 'https://guide.example.com/staking',
+    title: 'Staking',
+    source: 'guide',
+    chunkIndex: 0,
+    totalChunks: 1,
+    content: 'Stake $PEPU to earn rewards every block.',
+    tokenCount: 10
+  },
+  {
+    url: 'https://example.com/',
+    title: 'Pepe Unchained',
+    source: 'main',
+    chunkIndex: 0,
+    totalChunks: 1,
+    content: 'Pepe Unchained is a Layer 2 with its own bridge.',
+    tokenCount: 12
+  }
+];
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-store-'));
+  const store = new KnowledgeStore(path.join(dir, 'knowledge.db'));
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return store;
+}
+
+test('stores chunks in order and reads them back unchanged', (t) => {
+  const store = createStore(t);
+  assert.equal(store.version, null);
+
+  store.replaceChunks(chunks, { processorVersion: 4 });
+
+  assert.deepEqual(store.getChunks(), chunks);
+  assert.equal(store.count(), 3);
+  assert.equal(store.getMeta('processorVersion'), 4);
+  assert.deepEqual(store.getSources(), [
+    { name: 'guide', pages: 2, chunks: 2 },
+    { name: 'main', pages: 1, chunks: 1 }
+  ]);
+});
+
+test('replacing chunks swaps the whole knowledge base and changes the version', async (t) => {
+  const store = createStore(t);
+  const first = store.replaceChunks(chunks);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = store.replaceChunks(chunks.slice(1));
+
+  assert.notEqual(first, second);
+  assert.equal(store.version, second);
+  assert.deepEqual(store.getChunks(), chunks.slice(1));
+  assert.deepEqual(store.search('fee', 5), []);
+});
+
+test('full-text search ranks title and heading matches first', (t) => {
+  const store = createStore(t);
+  store.replaceChunks(chunks);
+
+  const results = store.search('How do I bridge? (fees)', 5);
+  assert.deepEqual(results.map(chunk => chunk.url), ['https://guide.example.com/bridge', 'https://example.com/']);
+  assert.ok(results.every(chunk => chunk.score > 0));
+  assert.equal(results[0].headingPath, 'How to Bridge > Fees');
+});
+
+test('queries without searchable words return nothing', (t) => {
+  const store = createStore(t);
+  store.replaceChunks(chunks);
+
+  assert.deepEqual(store.search('?!', 5), []);
+  assert.deepEqual(store.search('"NEAR" OR *', 5), []);
+});
+
+test('keeps a snapshot with a manifest for every write and restores it', (t) => {
+  const store = createStore(t);
+  const first = store.replaceChunks(chunks, { processorVersion: 4 });
+  const second = store.replaceChunks(chunks.slice(1), { processorVersion: 5 });
+
+  assert.ok(second > first);
+  const [latest, earlier] = store.listSnapshots();
+  assert.equal(latest.version, second);
+  assert.equal(earlier.version, first);
+  assert.equal(earlier.chunks, 3);
+  assert.deepEqual(earlier.sources, { guide: { pages: 2, chunks: 2 }, main: { pages: 1, chunks: 1 } });
+  assert.equal(earlier.hashes['https://guide.example.com/bridge'].length, 1);
+  assert.notEqual(earlier.hash, latest.hash);
+
+  // A rollback is a new version that records the one it restored
+  const restored = store.restoreSnapshot(first);
+  assert.ok(restored > second);
+  assert.equal(store.version, restored);
+  assert.equal(store.getMeta('processorVersion'), 4);
+  assert.equal(store.getMeta('restoredFrom'), first);
+  assert.deepEqual(store.listSnapshots().map(manifest => [manifest.version, manifest.metadata.restoredFrom, manifest.hash]), [
+    [restored, first, earlier.hash],
+    [second, undefined, latest.hash],
+    [first, undefined, earlier.hash]
+  ]);
+  assert.deepEqual(store.getChunks(), chunks);
+  assert.equal(store.search('fee', 5).length, 1);
+  assert.throws(() => store.restoreSnapshot(123), /No knowledge base snapshot/);
+});
+
+test('prunes old snapshots but keeps the current one', (t) => {
+  const store = createStore(t);
+  store.keepSnapshots = 2;
+  const versions = [1, 2, 3, 4].map(() => store.replaceChunks(chunks));
+
+  assert.deepEqual(store.listSnapshots().map(manifest => manifest.version), versions.slice(1).reverse());
+  assert.equal(store.getSnapshot(versions[0]), null);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OpenAIProvider, MockProvider, FallbackProvider, createLLMProvider, loadLLMConfig, isQuotaError, isRateLimitError } = require('../llmProviders');
+
+const request = { messages: [{ role: 'user', content: 'What is PEPU?' }], model: 'gpt-4o-mini' };
+
+function quotaError() {
+  const error = new Error('429 You exceeded your current quota');
+  error.status = 429;
+  error.code = 'insufficient_quota';
+  return error;
+}
+
+function rateLimitError(retryAfter) {
+  const error = new Error('429 Rate limit reached for gpt-4o-mini in organization org-123 on requests per min');
+  error.status = 429;
+  error.code = 'rate_limit_exceeded';
+  error.headers = new Headers(retryAfter ? { 'retry-after': retryAfter } : {});
+  return error;
+}
+
+// An OpenAI client whose completions fail with the given errors before answering
+function fakeClient(errors) {
+  const client = { calls: 0 };
+  client.chat = {
+    completions: {
+      create: async () => {
+        client.calls++;
+        if (errors.length > 0) {
+          throw errors.shift();
+        }
+        return { choices: [{ message: { content: 'PEPU is the native token.' } }], model: 'gpt-4o-mini' };
+      }
+    }
+  };
+  return client;
+}
+
+test('the mock provider replays scripted responses, then a default reply', async () => {
+  const provider = new MockProvider({ responses: ['PEPU is the native token.'] });
+
+  assert.equal((await provider.chat(request)).content, 'PEPU is the native token.');
+  assert.equal((await provider.chat(request)).content, 'Mock answer to: What is PEPU?');
+  assert.equal(provider.calls.length, 2);
+});
+
+test('falls back to the secondary provider on a 429 quota error', async () => {
+  const primary = new MockProvider({ name: 'primary', responses: [quotaError()] });
+  const secondary = new MockProvider({ name: 'secondary', model: 'local-model', responses: ['From the fallback.'] });
+  const provider = new FallbackProvider(primary, secondary);
+
+  const response = await provider.chat(request);
+  assert.equal(response.content, 'From the fallback.');
+  assert.equal(response.provider, 'secondary');
+  // The primary's model name means nothing to the secondary provider
+  assert.equal(secondary.calls[0].model, undefined);
+});
+
+test('streams from the secondary provider when the primary is out of quota', async () => {
+  const provider = new FallbackProvider(
+    new MockProvider({ responses: [quotaError()] }),
+    new MockProvider({ name: 'secondary', responses: ['Streamed fallback answer.'] })
+  );
+  const tokens = [];
+
+  await provider.stream(request, token => tokens.push(token));
+  assert.equal(tokens.join(''), 'Streamed fallback answer.');
+});
+
+test('other errors are not retried on the secondary provider', async () => {
+  const secondary = new MockProvider();
+  const provider = new FallbackProvider(new MockProvider({ responses: [new Error('invalid request')] }), secondary);
+
+  await assert.rejects(provider.chat(request), /invalid request/);
+  assert.equal(secondary.calls.length, 0);
+  assert.equal(isQuotaError(new Error('invalid request')), false);
+  assert.equal(isQuotaError({ error: { code: 'insufficient_quota' } }), true);
+});
+
+test('builds a mock provider with a fallback from the environment', () => {
+  const provider = createLLMProvider(loadLLMConfig({ LLM_PROVIDER: 'mock', LLM_FALLBACK_PROVIDER: 'mock' }));
+
+  assert.ok(provider instanceof FallbackProvider);
+  assert.equal(provider.name, 'mock+mock');
+});
+
+test('rate limits are not quota errors and are retried with backoff', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  assert.equal(isQuotaError(rateLimitError()), false);
+  assert.equal(isRateLimitError(rateLimitError()), true);
+  assert.equal(isRateLimitError(quotaError()), false);
+
+  const client = fakeClient([rateLimitError('0'), rateLimitError()]);
+  const provider = new OpenAIProvider({ apiKey: 'test', client, retryBaseDelayMs: 1 });
+
+  assert.equal((await provider.chat(request)).content, 'PEPU is the native token.');
+  assert.equal(client.calls, 3);
+});
+
+test('a rate-limited primary is retried, not replaced by the fallback', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const secondary = new MockProvider({ name: 'secondary' });
+  const limited = new FallbackProvider(
+    new OpenAIProvider({ apiKey: 'test', client: fakeClient([rateLimitError(), rateLimitError()]), maxRetries: 1, retryBaseDelayMs: 1 }),
+    secondary
+  );
+  await assert.rejects(limited.chat(request), /Rate limit reached/);
+  assert.equal(secondary.calls.length, 0);
+
+  // An exhausted quota is not retried
+  const client = fakeClient([quotaError()]);
+  const outOfQuota = new FallbackProvider(new OpenAIProvider({ apiKey: 'test', client, retryBaseDelayMs: 1 }), secondary);
+  assert.equal((await outOfQuota.chat(request)).provider, 'secondary');
+  assert.equal(client.calls, 1);
+});
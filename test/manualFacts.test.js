@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ManualFactsStore = require('../manualFacts');
+
+const defaults = [
+  { title: 'Block explorer', url: 'https://pepuscan.com', text: 'PepuScan is the block explorer.' },
+  { pinned: true, text: 'PEPU is the native token' }
+];
+const admin = { id: 42, name: 'admin' };
+
+function createStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-facts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new ManualFactsStore({ factsFile: path.join(dir, 'manual_facts.json'), defaults });
+}
+
+// Rewrites the file as an admin editing it by hand would, with a later mtime
+function editFile(store, content) {
+  fs.writeFileSync(store.factsFile, content);
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(store.factsFile, later, later);
+}
+
+test('seeds a new store with the default facts', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore(t);
+
+  const facts = await store.list();
+  assert.deepEqual(facts.map(fact => [fact.id, fact.pinned, fact.author.name]), [['f1', false, 'system'], ['f2', true, 'system']]);
+  assert.equal(JSON.parse(fs.readFileSync(store.factsFile, 'utf-8')).nextId, 3);
+  assert.deepEqual(await store.getPinnedTexts(), ['PEPU is the native token']);
+});
+
+test('adds and removes facts, never reusing an ID', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore(t);
+
+  const fact = await store.add({ text: '  The bridge takes about ten minutes.  ', title: 'Bridge' }, admin);
+  assert.deepEqual([fact.id, fact.text, fact.title, fact.url, fact.pinned, fact.author], ['f3', 'The bridge takes about ten minutes.', 'Bridge', null, false, admin]);
+  await assert.rejects(store.add({ text: '   ' }), /needs some text/);
+
+  assert.equal((await store.remove('f3')).title, 'Bridge');
+  assert.equal(await store.remove('f3'), null);
+  assert.equal((await store.add({ text: 'Staking is live.' })).id, 'f4');
+
+  const saved = JSON.parse(fs.readFileSync(store.factsFile, 'utf-8'));
+  assert.deepEqual(saved.facts.map(f => f.id), ['f1', 'f2', 'f4']);
+});
+
+test('serves unpinned facts as chunks, with a manual: URL when they have none', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const store = createStore(t);
+  await store.add({ text: 'Staking is live.' });
+
+  const chunks = await store.getChunks();
+  assert.deepEqual(chunks.map(chunk => [chunk.url, chunk.title, chunk.source, chunk.factId, chunk.content]), [
+    ['https://pepuscan.com', 'Block explorer', 'manual', 'f1', 'PepuScan is the block explorer.'],
+    ['manual:f3', 'Pepe Unchained facts', 'manual', 'f3', 'Staking is live.']
+  ]);
+  assert.ok(chunks.every(chunk => chunk.tokenCount > 0));
+  assert.equal((await store.getChunks({ includePinned: true })).length, 3);
+});
+
+test('picks up edits to the file, and keeps the last facts while it is invalid', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const store = createStore(t);
+  await store.load();
+  const version = store.version;
+
+  editFile(store, JSON.stringify({ nextId: 2, facts: [{ id: 'f1', text: 'Edited by hand.', pinned: true }] }));
+  assert.deepEqual(await store.getPinnedTexts(), ['Edited by hand.']);
+  assert.notEqual(store.version, version);
+
+  editFile(store, '{ "nextId": 2, "facts": [');
+  assert.deepEqual(await store.getPinnedTexts(), ['Edited by hand.']);
+});
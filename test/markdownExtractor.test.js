@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { htmlToMarkdown } = require('../markdownExtractor');
+const DataProcessor = require('../dataProcessor');
+
+function convert(html) {
+  const $ = cheerio.load(html);
+  return htmlToMarkdown($, $('body').get(0));
+}
+
+test('line wraps in the HTML source are spaces, not line breaks', () => {
+  const markdown = convert(`
+    <h2>How to
+      bridge</h2>
+    <p>To bridge your PEPU,
+      go to <a href="https://pepubridge.com">pepubridge.com</a>
+      and connect your <strong>wallet</strong>.</p>
+    <ul>
+      <li>Step one
+        continues here</li>
+      <li>Use <code>chain
+        ID 97741</code></li>
+    </ul>`);
+
+  assert.equal(markdown, [
+    '## How to bridge',
+    'To bridge your PEPU, go to pepubridge.com and connect your **wallet**.',
+    '- Step one continues here\n- Use `chain ID 97741`'
+  ].join('\n\n'));
+});
+
+test('<br> breaks lines, and stays inside list items and table cells', () => {
+  const markdown = convert(`
+    <p>Network name: Pepe Unchained V2<br>Chain ID: 97741</p>
+    <ol><li>Connect your wallet<br>on pepubridge.com<ul><li>MetaMask<br>works</li></ul></li></ol>
+    <table>
+      <tr><th>Route</th><th>Fee</th></tr>
+      <tr><td>Native
+        Bridge</td><td>0.3%<br>min | max</td></tr>
+    </table>`);
+
+  assert.equal(markdown, [
+    'Network name: Pepe Unchained V2\nChain ID: 97741',
+    '1. Connect your wallet\n   on pepubridge.com\n  - MetaMask\n    works',
+    '| Route | Fee |\n| --- | --- |\n| Native Bridge | 0.3% min \\| max |'
+  ].join('\n\n'));
+});
+
+test('chunks of converted pages keep sentences and list items whole', () => {
+  const processor = new DataProcessor();
+  const markdown = convert(`
+    <h1>Guide</h1>
+    <h2>Bridge</h2>
+    <p>To bridge your PEPU,
+      go to pepubridge.com. Pick the Native
+      Bridge route.</p>
+    <ul><li>Ensure you have enough ETH
+      for gas</li></ul>
+    <h2>Staking</h2>
+    <p>Staking rewards are distributed
+      per block.</p>`);
+
+  const chunks = processor.chunkMarkdown(markdown, 60, 0);
+
+  assert.deepEqual(chunks.map(chunk => chunk.headingPath), ['Guide > Bridge', 'Guide > Staking']);
+  assert.ok(chunks[0].content.includes('To bridge your PEPU, go to pepubridge.com. Pick the Native Bridge route.'));
+  assert.ok(chunks[0].content.includes('- Ensure you have enough ETH for gas'));
+  assert.ok(chunks.every(chunk => chunk.tokenCount <= 60));
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { reciprocalRankFusion, HeuristicReranker } = require('../retrieval');
+
+const bridge = { url: 'https://guide.example.com/bridge', chunkIndex: 0, title: 'How to Bridge', content: 'Bridge PEPU from Ethereum at pepubridge.com.' };
+const staking = { url: 'https://guide.example.com/staking', chunkIndex: 0, title: 'Staking', content: 'Stake PEPU to earn rewards every block.' };
+const dex = { url: 'https://guide.example.com/dex', chunkIndex: 0, title: 'DEX', content: 'Swap tokens on the DEX.' };
+
+test('rank fusion favours chunks that several retrievers agree on', () => {
+  const fused = reciprocalRankFusion({
+    lexical: [{ ...dex, score: 9 }, { ...bridge, score: 4 }],
+    semantic: [{ ...staking, score: 0.9 }, { ...bridge, score: 0.8 }]
+  });
+
+  // Second in both lists beats first in one
+  assert.deepEqual(fused.map(chunk => chunk.url), [bridge.url, dex.url, staking.url]);
+  assert.deepEqual(fused[0].scores, { fused: 2 / 62, lexical: 4, semantic: 0.8 });
+  assert.equal(fused[0].score, undefined);
+  // Equal ranks tie, in list order
+  assert.equal(fused[1].scores.fused, fused[2].scores.fused);
+});
+
+test('the reranker scores query term coverage, blended with semantic similarity', async () => {
+  const reranker = new HeuristicReranker();
+  const candidates = [bridge, staking].map(chunk => ({ ...chunk, scores: { fused: 0.01 } }));
+
+  // "from" is a stopword, so there are three query terms
+  const lexicalOnly = await reranker.rerank('bridge PEPU from Ethereum', candidates);
+  assert.deepEqual(lexicalOnly.map(chunk => chunk.scores.rerank), [1, 0.3333]);
+
+  candidates[1].scores.semantic = 0.5;
+  const blended = await reranker.rerank('bridge PEPU from Ethereum', candidates, { semanticAvailable: true });
+  // The bridge chunk wasn't among the semantic candidates, so it counts as dissimilar
+  assert.deepEqual(blended.map(chunk => chunk.scores.rerank), [0.6, 0.4]);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RobotsRules = require('../robots');
+const { canonicalizeUrl } = require('../urlUtils');
+const WebScraper = require('../scraper');
+
+const robotsTxt = `
+User-agent: *
+Disallow: /private/
+Allow: /private/press
+Disallow: /*.pdf$
+`;
+
+test('directory rules block canonical URLs without the trailing slash', () => {
+  const robots = RobotsRules.parse(robotsTxt, 'PepuAIBot');
+  const url = canonicalizeUrl('https://example.com/private/');
+
+  assert.equal(url, 'https://example.com/private');
+  assert.equal(robots.isAllowed('https://example.com/private/'), false);
+  assert.equal(robots.isAllowed(url), false);
+  assert.equal(robots.check(url).rule.pattern, '/private/');
+});
+
+test('other paths and more specific Allow rules are unaffected', () => {
+  const robots = RobotsRules.parse(robotsTxt, 'PepuAIBot');
+
+  assert.equal(robots.isAllowed('https://example.com/privacy'), true);
+  assert.equal(robots.isAllowed('https://example.com/private/press'), true);
+  assert.equal(robots.isAllowed('https://example.com/docs/guide.pdf'), false);
+  assert.equal(robots.isAllowed('https://example.com/docs?page=2'), true);
+});
+
+test('the scraper announces the agent its robots.txt rules are chosen for', () => {
+  const scraper = new WebScraper();
+  const robots = RobotsRules.parse('User-agent: PepuAIBot\nDisallow: /\n\nUser-agent: *\nAllow: /', scraper.robotsUserAgent);
+
+  assert.match(scraper.userAgent, /\bPepuAIBot\/[\d.]+; \+https?:\/\//);
+  assert.ok(scraper.userAgent.includes(scraper.contactUrl));
+  assert.equal(robots.isAllowed('https://example.com/docs'), false);
+});
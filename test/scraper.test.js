@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const WebScraper = require('../scraper');
+const SourceRegistry = require('../sourceRegistry');
+
+// A scraper on a temp data directory, crawling a site where every page links to the next one
+function createScraper(dataDir, maxPages) {
+  const sourcesFile = path.join(dataDir, 'sources.json');
+  fs.writeFileSync(sourcesFile, JSON.stringify({ sources: [{ name: 'guide', startUrls: ['https://guide.example.com/a'], maxPages }] }));
+
+  const scraper = new WebScraper();
+  scraper.registry = new SourceRegistry(sourcesFile);
+  scraper.dataDir = dataDir;
+  scraper.progressFile = path.join(dataDir, 'crawl_progress.json');
+  scraper.stateFile = path.join(dataDir, 'scrape_state.json');
+  scraper.outputFile = path.join(dataDir, 'scraped_content.json');
+  scraper.minDelayMs = 0;
+  scraper.fetched = [];
+  // No robots.txt or sitemaps
+  scraper.fetchRaw = async () => null;
+  scraper.fetchPage = async (url) => {
+    scraper.fetched.push(url);
+    const next = String.fromCharCode(url.charCodeAt(url.length - 1) + 1);
+    return { status: 200, html: `<html><title>${url}</title><main><p>Page ${url} of the guide.</p><a href="/${next}">Next</a></main></html>` };
+  };
+  return scraper;
+}
+
+test('missing pages of a source at its page limit are dropped, not fetched', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-scrape-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const first = await createScraper(dataDir, 2).scrapeAll();
+  assert.deepEqual(first.map(page => page.url), ['https://guide.example.com/a', 'https://guide.example.com/b']);
+  assert.ok(first.every(page => !page.links && !page.validators));
+
+  // The limit is lowered, so /b is no longer reached and must not be fetched by the recheck
+  const scraper = createScraper(dataDir, 1);
+  const second = await scraper.scrapeAll();
+
+  assert.deepEqual(second.map(page => page.url), ['https://guide.example.com/a']);
+  assert.deepEqual(scraper.fetched, ['https://guide.example.com/a']);
+  assert.deepEqual(scraper.runSummary.removed, ['https://guide.example.com/b']);
+  const state = JSON.parse(fs.readFileSync(scraper.stateFile, 'utf-8'));
+  assert.equal(state.pages['https://guide.example.com/b'].status, 'removed');
+  assert.equal(state.pages['https://guide.example.com/c'], undefined);
+});
+
+// Serves site pages through a stubbed axios.get, answering conditional requests like a server would.
+// A page without html is gone (404).
+function serveSite(t, site, requests) {
+  t.mock.method(axios, 'get', async (url, config) => {
+    const page = site[new URL(url).pathname];
+    requests.push({ url, headers: config.headers });
+    if (!page || !page.html) {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404, headers: {} };
+      throw error;
+    }
+    const headers = { etag: page.etag, 'last-modified': page.lastModified };
+    if (page.etag && config.headers['If-None-Match'] === page.etag) {
+      return { status: 304, data: '', headers };
+    }
+    return { status: 200, data: page.html, headers };
+  });
+}
+
+function pageHtml(name, text, links) {
+  return `<html><title>${name}</title><main><p>${text}</p>${links.map(link => `<a href="/${link}">${link}</a>`).join('')}</main></html>`;
+}
+
+test('rescrapes with conditional requests and reports added, changed, unchanged and removed pages', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-scrape-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const requests = [];
+  const site = {
+    '/a': { html: pageHtml('A', 'Page A of the guide.', ['b']), etag: '"a1"' },
+    '/b': { html: pageHtml('B', 'Page B of the guide.', ['c']), lastModified: 'Mon, 03 Mar 2025 10:00:00 GMT' },
+    '/c': { html: pageHtml('C', 'Page C of the guide.', ['d']), etag: '"c1"' },
+    '/d': { html: pageHtml('D', 'Page D of the guide.', []) }
+  };
+  serveSite(t, site, requests);
+
+  // Uses the real fetchPage, so requests go through the stubbed axios
+  const first = createScraper(dataDir, 10);
+  first.fetchPage = WebScraper.prototype.fetchPage;
+  const firstPages = await first.scrapeAll();
+  assert.equal(firstPages.length, 4);
+  assert.equal(first.runSummary.added.length, 4);
+  assert.ok(requests.every(request => !request.headers['If-None-Match'] && !request.headers['If-Modified-Since']));
+
+  // /a is unchanged (304), /b is served again with the same content, /c changed and links to a new
+  // page /e, and /d is gone
+  site['/c'] = { html: pageHtml('C', 'Page C of the guide, updated.', ['d', 'e']), etag: '"c2"' };
+  site['/d'] = {};
+  site['/e'] = { html: pageHtml('E', 'Page E of the guide.', []) };
+  requests.length = 0;
+
+  const second = createScraper(dataDir, 10);
+  second.fetchPage = WebScraper.prototype.fetchPage;
+  const secondPages = await second.scrapeAll();
+
+  const headersFor = pathname => requests.find(request => request.url.endsWith(pathname)).headers;
+  assert.equal(headersFor('/a')['If-None-Match'], '"a1"');
+  assert.equal(headersFor('/b')['If-Modified-Since'], 'Mon, 03 Mar 2025 10:00:00 GMT');
+  assert.equal(headersFor('/c')['If-None-Match'], '"c1"');
+
+  const url = pathname => `https://guide.example.com${pathname}`;
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(second.runSummary).map(([change, urls]) => [change, [...urls].sort()])),
+    { added: [url('/e')], changed: [url('/c')], unchanged: [url('/a'), url('/b')], removed: [url('/d')], failed: [] }
+  );
+
+  // The 304 page keeps its content; pages whose content didn't change keep their scrape time
+  const byUrl = new Map(secondPages.map(page => [page.url, page]));
+  const firstByUrl = new Map(firstPages.map(page => [page.url, page]));
+  assert.equal(byUrl.get(url('/a')).content, firstByUrl.get(url('/a')).content);
+  assert.equal(byUrl.get(url('/b')).scrapedAt, firstByUrl.get(url('/b')).scrapedAt);
+  assert.match(byUrl.get(url('/c')).content, /updated/);
+  assert.equal(byUrl.has(url('/d')), false);
+
+  const state = JSON.parse(fs.readFileSync(second.stateFile, 'utf-8'));
+  assert.equal(state.pages[url('/c')].etag, '"c2"');
+  assert.equal(state.pages[url('/d')].status, 'removed');
+  assert.deepEqual([state.lastRun.added, state.lastRun.changed, state.lastRun.unchanged, state.lastRun.removed], [1, 1, 2, 1]);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SourceRegistry = require('../sourceRegistry');
+
+function createRegistry(t, sources) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-sources-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configFile = path.join(dir, 'sources.json');
+  if (sources) {
+    fs.writeFileSync(configFile, JSON.stringify({ sources }));
+  }
+  return new SourceRegistry(configFile);
+}
+
+test('loads sources with defaults, and no file as no sources', async (t) => {
+  assert.deepEqual(await createRegistry(t).load(), []);
+
+  const registry = createRegistry(t, [{ name: 'docs', startUrls: ['https://docs.example.com/'] }]);
+  const [source] = await registry.load();
+  assert.deepEqual(source, {
+    name: 'docs',
+    startUrls: ['https://docs.example.com/'],
+    include: [],
+    exclude: [],
+    contentSelectors: [],
+    maxPages: 30
+  });
+  assert.equal(registry.get('docs'), source);
+  assert.equal(registry.get('blog'), null);
+});
+
+test('rejects an unreadable sources file', async (t) => {
+  const registry = createRegistry(t);
+  fs.writeFileSync(registry.configFile, '{ not json');
+  await assert.rejects(registry.load(), /Could not read/);
+});
+
+test('matches URLs on the start host, or by include patterns, minus excludes', () => {
+  const registry = new SourceRegistry('unused.json');
+  const byHost = registry.normalize({ name: 'docs', startUrls: ['https://docs.example.com/'], exclude: ['*/changelog*'] });
+  assert.equal(registry.matches(byHost, 'https://docs.example.com/guide/bridge'), true);
+  assert.equal(registry.matches(byHost, 'https://blog.example.com/guide'), false);
+  assert.equal(registry.matches(byHost, 'https://docs.example.com/changelog/2024'), false);
+  assert.equal(registry.matches(byHost, 'not a url'), false);
+
+  // Dots and other regex characters in patterns are literal
+  const byPattern = registry.normalize({ name: 'blog', startUrls: ['https://example.com/blog/'], include: ['https://example.com/blog/*'] });
+  assert.equal(registry.matches(byPattern, 'https://example.com/blog/staking'), true);
+  assert.equal(registry.matches(byPattern, 'https://example.com/about'), false);
+  assert.equal(registry.matches(byPattern, 'https://exampleXcom/blog/staking'), false);
+
+  registry.sources = [byPattern, byHost];
+  assert.equal(registry.findSource('https://docs.example.com/guide').name, 'docs');
+  assert.equal(registry.findSource('https://other.example.com/'), null);
+});
+
+test('reports invalid sources and duplicate names', async (t) => {
+  const registry = createRegistry(t, [
+    { name: 'docs', startUrls: ['https://docs.example.com/'] },
+    { name: 'docs', startUrls: ['https://docs.example.com/'] },
+    { name: 'Bad Name', startUrls: ['ftp://a.example.com/', 'https://b.example.com/'], contentSelectors: ['main', ''], maxPages: 0 },
+    { name: 'excluded', startUrls: ['https://docs.example.com/private'], exclude: ['*/private'] }
+  ]);
+  await registry.load();
+
+  assert.deepEqual(registry.validate(), [
+    { name: 'docs', errors: ['duplicate source name'] },
+    {
+      name: 'Bad Name',
+      errors: [
+        'name must be lowercase letters, digits and dashes',
+        'start URL ftp://a.example.com/ must be http or https',
+        'start URLs must all be on one host',
+        'contentSelectors must be a list of non-empty strings',
+        'maxPages must be a positive integer'
+      ]
+    },
+    { name: 'excluded', errors: ['start URL https://docs.example.com/private is excluded by the source\'s own patterns'] }
+  ]);
+});
+
+test('adds a valid source and saves it, refusing duplicates', async (t) => {
+  const registry = createRegistry(t);
+  await registry.load();
+  await registry.add({ name: 'docs', startUrls: ['https://docs.example.com/'], contentSelectors: ['.content'] });
+
+  const saved = JSON.parse(fs.readFileSync(registry.configFile, 'utf-8'));
+  assert.deepEqual(saved.sources.map(source => [source.name, source.contentSelectors, source.maxPages]), [['docs', ['.content'], 30]]);
+
+  await assert.rejects(registry.add({ name: 'docs', startUrls: ['https://docs.example.com/'] }), /already exists/);
+  await assert.rejects(registry.add({ name: 'blog', startUrls: ['https://blog.example.com/'], contentSelectors: ['a[href'] }), /content selector "a\[href" is invalid/);
+  assert.equal(registry.sources.length, 1);
+});
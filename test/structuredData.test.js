@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { extractStructuredData, mergeStructuredContent, isProse } = require('../structuredData');
+
+const staking = 'Staking rewards are paid out every block to everyone who locks their PEPU tokens.';
+const bridge = 'The bridge moves tokens from Ethereum to Pepe Unchained in a few minutes.';
+
+function extract(html) {
+  return extractStructuredData(cheerio.load(html));
+}
+
+test('keeps prose and drops ids, URLs and code', () => {
+  assert.equal(isProse(staking), true);
+  assert.equal(isProse('Short text.'), false);
+  assert.equal(isProse('https://pepeunchained.com/assets/images/hero-banner-background.png'), false);
+  assert.equal(isProse('function (a) { return a + 1 } and more words to reach forty chars'), false);
+  assert.equal(isProse('a1b2c3d4-e5f6-7a8b-9c0d-e1f2a3b4c5d6 9f8e7d6c-5b4a-3f2e-1d0c-b9a8f7e6d5c4'), false);
+});
+
+test('extracts readable JSON-LD properties and the meta description', () => {
+  const { meta, sources } = extract(`<html><head>
+    <meta name="description" content="  The Layer 2 for memes. ">
+    <meta property="og:title" content="Pepe Unchained">
+    <script type="application/ld+json">${JSON.stringify({
+      '@type': 'FAQPage',
+      mainEntity: [{ '@type': 'Question', name: 'How does staking work on Pepe Unchained?', acceptedAnswer: { text: `<p>${staking}</p>` } }],
+      url: 'https://pepeunchained.com/faq/how-does-staking-work-on-pepe-unchained'
+    })}</script>
+    <script type="application/ld+json">{ broken</script>
+  </head></html>`);
+
+  assert.deepEqual(meta, { description: 'The Layer 2 for memes.', ogTitle: 'Pepe Unchained' });
+  assert.deepEqual(sources, { 'json-ld': ['How does staking work on Pepe Unchained?', staking] });
+});
+
+test('extracts prose from Next.js and Nuxt hydration payloads', () => {
+  const nextData = { props: { pageProps: { id: 'faq-bridge', body: bridge, image: '/images/bridge-diagram-large-version.png' } }, buildId: 'x' };
+  assert.deepEqual(extract(`<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script>`).sources, { 'next-data': [bridge] });
+
+  const nuxt3 = ['Reactive', { title: 1, body: 2 }, 'Bridge', bridge];
+  assert.deepEqual(extract(`<script id="__NUXT_DATA__" type="application/json">${JSON.stringify(nuxt3)}</script>`).sources, { nuxt: [bridge] });
+
+  const nuxt2 = `window.__NUXT__=(function(a,b){return {data:[{body:${JSON.stringify(staking)},slug:a}]}}("staking","en"));`;
+  assert.deepEqual(extract(`<script>${nuxt2}</script>`).sources, { nuxt: [staking] });
+
+  // Next.js app router flight data nests JSON rows inside string literals
+  const flight = `self.__next_f.push([1,${JSON.stringify(`1:["$","p",null,{"children":${JSON.stringify(bridge)}}]\n`)}])`;
+  assert.deepEqual(extract(`<script>${flight}</script>`).sources, { 'next-data': [bridge] });
+});
+
+test('merges only the embedded text the visible content is missing', () => {
+  const structured = {
+    meta: { description: 'The Layer 2 for memes.' },
+    sources: { 'json-ld': [bridge, staking], 'next-data': [staking] }
+  };
+  const content = `# Bridge\n\n**The bridge** moves tokens from Ethereum to Pepe Unchained in a few minutes.`;
+
+  assert.equal(mergeStructuredContent(content, structured), [
+    'The Layer 2 for memes.',
+    content,
+    '## Embedded content',
+    staking
+  ].join('\n\n'));
+  assert.equal(mergeStructuredContent('', { meta: {}, sources: {} }), '');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const TelegramAIBot = require('../telegramBot');
+
+// A bot without polling or an agent: Telegram rejects Markdown with an odd number of * or _
+function createBot(chunks) {
+  const bot = Object.create(TelegramAIBot.prototype);
+  bot.sent = [];
+  bot.bot = {
+    async sendMessage(chatId, text, options = {}) {
+      bot.sent.push({ text, parseMode: options.parse_mode });
+      if (options.parse_mode && ((text.match(/\*/g) || []).length % 2 || (text.match(/_/g) || []).length % 2)) {
+        throw new Error('ETELEGRAM: 400 Bad Request: can\'t parse entities: Can\'t find end of the entity starting at byte offset 12');
+      }
+      return { message_id: bot.sent.length };
+    }
+  };
+  bot.aiAgent = { findRelevantChunks: async () => chunks };
+  return bot;
+}
+
+test('knowledge base answers send the chunk Markdown as plain text', async () => {
+  const bot = createBot([{
+    url: 'https://guide.example.com/fees',
+    content: '| Route | Fee |\n| --- | --- |\n| **Native** \\| bridge | 0.3% of gas_fee |'
+  }]);
+
+  await bot.sendKnowledgeBaseAnswer(1, 'What are the fees?');
+
+  assert.equal(bot.sent.length, 1);
+  assert.equal(bot.sent[0].parseMode, undefined);
+  assert.ok(bot.sent[0].text.includes('| **Native** \\| bridge | 0.3% of gas_fee |'));
+  assert.ok(bot.sent[0].text.includes('Source: https://guide.example.com/fees'));
+});
+
+test('Markdown that Telegram cannot parse is resent as plain text', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bot = createBot([]);
+
+  await bot.sendMarkdown(1, '*Bold* and fine');
+  await bot.sendMarkdown(1, 'Error: unexpected token in gas_fee');
+
+  assert.deepEqual(bot.sent.map(message => message.parseMode), ['Markdown', 'Markdown', undefined]);
+  assert.equal(bot.sent[2].text, 'Error: unexpected token in gas_fee');
+});
+
+test('parses /teach into pinned, title and text', () => {
+  const bot = createBot([]);
+
+  assert.deepEqual(bot.parseTeachCommand('The bridge takes about ten minutes.'), { pinned: false, title: null, text: 'The bridge takes about ten minutes.' });
+  assert.deepEqual(bot.parseTeachCommand('pin Bridge | The bridge takes about ten minutes.'), { pinned: true, title: 'Bridge', text: 'The bridge takes about ten minutes.' });
+  assert.deepEqual(bot.parseTeachCommand('  PIN  PEPU is the native token '), { pinned: true, title: null, text: 'PEPU is the native token' });
+  // "pin" only counts as a word of its own, and a leading | is part of the fact
+  assert.deepEqual(bot.parseTeachCommand('pinned posts are in the channel'), { pinned: false, title: null, text: 'pinned posts are in the channel' });
+  assert.deepEqual(bot.parseTeachCommand('| Fees | are low'), { pinned: false, title: null, text: '| Fees | are low' });
+  assert.deepEqual(bot.parseTeachCommand('pin'), { pinned: false, title: null, text: 'pin' });
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const StreamingReply = require('../telegramStreamer');
+const { TELEGRAM_MAX_LENGTH } = require('../telegramStreamer');
+
+// Records sends and edits; like Telegram, rejects Markdown with an odd number of *
+function fakeBot() {
+  const calls = [];
+  const check = (text, options = {}) => {
+    if (options.parse_mode && (text.match(/\*/g) || []).length % 2) {
+      throw new Error('ETELEGRAM: 400 Bad Request: can\'t parse entities');
+    }
+  };
+  return {
+    calls,
+    async sendMessage(chatId, text, options = {}) {
+      calls.push({ type: 'send', text, parseMode: options.parse_mode });
+      check(text, options);
+      return { message_id: 42 };
+    },
+    async editMessageText(text, options) {
+      calls.push({ type: 'edit', text, parseMode: options.parse_mode, messageId: options.message_id });
+      check(text, options);
+    },
+    async deleteMessage() {}
+  };
+}
+
+function splitInHalf(text, maxLength) {
+  return [text.slice(0, maxLength), text.slice(maxLength)];
+}
+
+test('throttles edits while the answer streams in', async () => {
+  const bot = fakeBot();
+  const reply = await new StreamingReply(bot, 1, { editInterval: 60000 }).start();
+
+  await reply.append('Bridge at');
+  await reply.append(' pepubridge.com');
+  await reply.pendingEdit;
+  await reply.append('.');
+  assert.deepEqual(bot.calls.map(call => [call.type, call.text]), [['send', '💭 Thinking...'], ['edit', 'Bridge at ▌']]);
+
+  // Once the interval has passed, the next delta edits in everything so far
+  reply.lastEditAt -= 60000;
+  await reply.append(' Done');
+  await reply.pendingEdit;
+  assert.equal(bot.calls.at(-1).text, 'Bridge at pepubridge.com. Done ▌');
+  assert.equal(bot.calls.at(-1).parseMode, undefined);
+  assert.equal(bot.calls.at(-1).messageId, 42);
+});
+
+test('splits long answers and sends every part as plain text when its Markdown is rejected', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bot = fakeBot();
+  const reply = await new StreamingReply(bot, 1).start();
+
+  // The split cuts through the bold markup, leaving one * in each part
+  const answer = 'a'.repeat(TELEGRAM_MAX_LENGTH - 5) + '*bold text* and the rest';
+  await reply.finish(answer, splitInHalf);
+
+  const [first, second] = splitInHalf(answer, TELEGRAM_MAX_LENGTH);
+  assert.deepEqual(bot.calls.slice(1).map(call => [call.type, call.text, call.parseMode]), [
+    ['edit', first, 'Markdown'],
+    ['edit', first, undefined],
+    ['send', second, 'Markdown'],
+    ['send', second, undefined]
+  ]);
+});
+
+test('short answers are formatted when their Markdown is valid', async () => {
+  const bot = fakeBot();
+  const reply = await new StreamingReply(bot, 1).start();
+
+  await reply.finish('Use the *Native Bridge* [1].', splitInHalf);
+
+  assert.deepEqual(bot.calls.slice(1).map(call => [call.type, call.parseMode]), [['edit', 'Markdown']]);
+});
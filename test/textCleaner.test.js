@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { cleanText, findRepeatedLines, isBoilerplateLine } = require('../textCleaner');
+
+// Each fixture is a pair: <name>.input.md is cleaned and compared with <name>.expected.md
+const fixturesDir = path.join(__dirname, 'fixtures', 'cleaning');
+const fixtures = fs.readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.input.md'))
+  .map(file => file.replace('.input.md', ''));
+
+for (const name of fixtures) {
+  test(`cleans fixture: ${name}`, () => {
+    const input = fs.readFileSync(path.join(fixturesDir, `${name}.input.md`), 'utf-8');
+    const expected = fs.readFileSync(path.join(fixturesDir, `${name}.expected.md`), 'utf-8');
+    assert.equal(cleanText(input) + '\n', expected);
+  });
+}
+
+test('keeps values the old character whitelist deleted', () => {
+  const values = [
+    '$PEPU',
+    '0.3%',
+    'https://pepuscan.com/address/0x93aA0ccD1e5628d3A841C4DbdF602D9eb04085d6?tab=tokens#top',
+    'support@pepeunchained.com',
+    'gas < 0.01 gwei',
+    'a ~ b ^ c { d } _e_',
+    '你好',
+    '🐸'
+  ];
+  for (const value of values) {
+    assert.equal(cleanText(`Value: ${value}`), `Value: ${value}`);
+  }
+});
+
+test('normalizes Unicode to composed form', () => {
+  assert.equal(cleanText('Cafe\u0301'), 'Caf\u00e9');
+});
+
+test('drops private-use icon glyphs', () => {
+  assert.equal(cleanText('\uf0e0 Contact us'), 'Contact us');
+});
+
+test('recognizes boilerplate lines with Markdown markers', () => {
+  assert.equal(isBoilerplateLine('**Accept all cookies**'), true);
+  assert.equal(isBoilerplateLine('- Back to top'), true);
+  assert.equal(isBoilerplateLine('## Next steps'), false);
+  assert.equal(isBoilerplateLine('Copy the contract address from PepuScan'), false);
+});
+
+test('finds lines repeated across most pages', () => {
+  const pages = [
+    '# Bridge\n\nHome\nDocs\n\nBridging takes 10 minutes.',
+    '# Staking\n\nHome\nDocs\n\nStaking pays rewards.',
+    '# DEX\n\nHome\nDocs\n\nSwaps are cheap.',
+    '# FAQ\n\nHome\n\nAsk anything.'
+  ];
+  assert.deepEqual([...findRepeatedLines(pages)].sort(), ['Docs', 'Home']);
+  // Too few pages to tell navigation from content
+  assert.equal(findRepeatedLines(pages.slice(0, 2)).size, 0);
+});
+
+test('removes repeated lines outside code blocks only', () => {
+  const repeatedLines = new Set(['Home']);
+  const text = 'Home\n\nIntro\n\n```\nHome\n```';
+  assert.equal(cleanText(text, { repeatedLines }), 'Intro\n\n```\nHome\n```');
+});
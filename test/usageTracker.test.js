@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageTracker = require('../usageTracker');
+const { estimateCost } = require('../usageTracker');
+
+// 1M prompt tokens of gpt-4o-mini cost $0.15
+const usage = { prompt_tokens: 1000000, completion_tokens: 0 };
+
+function createTracker(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pepu-usage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tracker = new UsageTracker({ usageFile: path.join(dir, 'usage.json'), dailyBudget: 0, chatDailyBudget: 0, userDailyBudget: 0, ...options });
+  tracker.day = '2025-03-10';
+  tracker.today = () => tracker.day;
+  return tracker;
+}
+
+test('prices dated model variants like their family, and unknown models at zero', () => {
+  assert.equal(estimateCost('gpt-4o-mini-2024-07-18', 1000000, 1000000), 0.75);
+  assert.equal(estimateCost('gpt-4o-2024-08-06', 1000000, 0), 2.5);
+  assert.equal(estimateCost('llama-3-8b', 1000000, 1000000), 0);
+});
+
+test('records usage per day, chat, user and model', async (t) => {
+  const tracker = createTracker(t);
+  await tracker.record('gpt-4o-mini', usage, { chatId: 1, userId: 7 });
+  await tracker.record('gpt-4o-mini', { prompt_tokens: 10, completion_tokens: 5 }, { chatId: 2 });
+
+  const summary = await tracker.getSummary();
+  assert.equal(summary.total.requests, 2);
+  assert.equal(summary.total.promptTokens, 1000010);
+  assert.equal(summary.chats['1'].requests, 1);
+  assert.equal(summary.users['7'].cost, 0.15);
+  assert.equal(summary.models['gpt-4o-mini'].completionTokens, 5);
+  assert.equal(await tracker.record('gpt-4o-mini', undefined), null);
+
+  const saved = JSON.parse(fs.readFileSync(tracker.usageFile, 'utf-8'));
+  assert.deepEqual(Object.keys(saved.days), ['2025-03-10']);
+});
+
+test('warns and exhausts each budget once per day, per chat and per user', async (t) => {
+  const tracker = createTracker(t, { dailyBudget: 10, chatDailyBudget: 0.35, userDailyBudget: 0.2 });
+  const events = [];
+  tracker.on('budget', event => events.push([event.scope, event.id, event.level]));
+
+  await tracker.record('gpt-4o-mini', usage, { chatId: 1, userId: 7 });
+  assert.deepEqual(events, []);
+  await tracker.record('gpt-4o-mini', usage, { chatId: 1, userId: 7 });
+  assert.deepEqual(events, [['chat', 1, 'warning'], ['user', 7, 'exhausted']]);
+  await tracker.record('gpt-4o-mini', usage, { chatId: 1, userId: 8 });
+  assert.deepEqual(events.slice(2), [['chat', 1, 'exhausted']]);
+
+  const chatBudget = await tracker.checkBudget({ chatId: 1, userId: 9 });
+  assert.deepEqual([chatBudget.exhausted, chatBudget.scope, chatBudget.id, chatBudget.limit], [true, 'chat', 1, 0.35]);
+  assert.equal((await tracker.checkBudget({ chatId: 2, userId: 7 })).scope, 'user');
+  assert.deepEqual(await tracker.checkBudget({ chatId: 2, userId: 9 }), { exhausted: false });
+
+  // Budgets reset the next day
+  tracker.day = '2025-03-11';
+  assert.deepEqual(await tracker.checkBudget({ chatId: 1, userId: 7 }), { exhausted: false });
+});
+
+test('keeps only the days in the retention window', async (t) => {
+  const tracker = createTracker(t, { retentionDays: 3 });
+  for (const day of ['2025-03-01', '2025-03-08', '2025-03-09', '2025-03-10']) {
+    tracker.day = day;
+    await tracker.record('gpt-4o-mini', usage);
+  }
+
+  const saved = JSON.parse(fs.readFileSync(tracker.usageFile, 'utf-8'));
+  assert.deepEqual(Object.keys(saved.days), ['2025-03-08', '2025-03-09', '2025-03-10']);
+});
@@ -0,0 +1,126 @@
+// Text cleaning for scraped pages and ingested documents. Only characters that carry no meaning
+// are removed (control and zero-width characters, icon-font glyphs), so URLs, 0x addresses,
+// "$PEPU", "0.3%", non-Latin scripts and emoji survive. Markdown structure is kept; lines of
+// site chrome (cookie banners, "Skip to content", copyright footers) are dropped.
+
+// Whole lines (after Markdown markers are stripped) that are site chrome rather than content
+const BOILERPLATE_PATTERNS = [
+  /^skip to (main )?content$/i,
+  /^(accept|decline|reject|allow|deny)( all)?( cookies)?$/i,
+  /^(manage )?cookie (settings|preferences|policy)$/i,
+  /^(back to top|toggle navigation|open menu|close menu|copy link)$/i,
+  /^(previous|next)( page)?$/i,
+  /^on this page$/i,
+  /^was this (page|article) helpful\??$/i,
+  /^powered by gitbook$/i,
+  /^last updated\b.{0,40}$/i,
+  /^(©|\(c\)|copyright\b).{0,120}$/i,
+  /^.{0,120}\ball rights reserved\.?$/i,
+  /^(subscribe|sign up) (to|for) (our|the) newsletter\b.{0,80}$/i
+];
+
+// Cookie consent text, which sites phrase in many ways; only short paragraphs count, so a
+// real article about cookies isn't removed
+const COOKIE_BANNER = /\b(we|this (web)?site|our (web)?site) uses? cookies\b|\bby (continuing|clicking|using)\b.{0,80}\bcookies\b|\baccept (all )?cookies\b/i;
+const COOKIE_BANNER_MAX_LENGTH = 400;
+
+// Line text without Markdown list, heading, quote and emphasis markers
+function plainLine(line) {
+  return line
+    .replace(/^\s*([#>]+|[-*+]|\d+\.)\s+/, '')
+    .replace(/[*_`]/g, '')
+    .trim();
+}
+
+function isBoilerplateLine(line) {
+  const text = plainLine(line);
+  if (!text) {
+    return false;
+  }
+  if (COOKIE_BANNER.test(text) && text.length <= COOKIE_BANNER_MAX_LENGTH) {
+    return true;
+  }
+  return BOILERPLATE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+function normalizeCharacters(text) {
+  return text
+    .normalize('NFC')
+    .replace(/\r\n?|[\u2028\u2029]/g, '\n')
+    // Non-breaking and other typographic spaces
+    .replace(/[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
+    // Zero-width space, word joiner, BOM and soft hyphen (ZWJ/ZWNJ stay: emoji sequences and
+    // several scripts need them)
+    .replace(/[\u200B\u2060\uFEFF\u00AD]/g, '')
+    // Control characters except tab and newline, the replacement character and private-use
+    // glyphs from icon fonts
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F-\u009F\uFFFD]|\p{Co}/gu, '');
+}
+
+// Lines worth comparing across pages: not headings, table rules or code fences, which
+// legitimately repeat
+function isComparableLine(line) {
+  const text = line.trim();
+  return Boolean(text) && !/^(#{1,6} |```|\|?[\s:|-]+\|?$)/.test(text);
+}
+
+// Short lines that appear on many pages of a site (navigation, footers, sidebars that survived
+// extraction). Returns a Set of trimmed lines.
+function findRepeatedLines(texts, options = {}) {
+  const { minPages = 3, minShare = 0.5, maxLength = 120 } = options;
+  const counts = new Map();
+
+  for (const text of texts) {
+    const lines = new Set(normalizeCharacters(text || '')
+      .split('\n')
+      .filter(line => isComparableLine(line) && line.trim().length <= maxLength)
+      .map(line => line.trim()));
+    for (const line of lines) {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+  }
+
+  const threshold = Math.max(minPages, Math.ceil(texts.length * minShare));
+  return new Set([...counts].filter(([, count]) => count >= threshold).map(([line]) => line));
+}
+
+// options.repeatedLines: lines to drop, e.g. from findRepeatedLines() over the page's site
+function cleanText(text, options = {}) {
+  if (!text) return '';
+
+  const repeatedLines = options.repeatedLines || new Set();
+  const lines = [];
+  let inCodeBlock = false;
+
+  for (const line of normalizeCharacters(text).split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      lines.push(line.trim());
+      continue;
+    }
+    if (inCodeBlock) {
+      lines.push(line.replace(/\s+$/, ''));
+      continue;
+    }
+    if (isBoilerplateLine(line) || repeatedLines.has(line.trim())) {
+      continue;
+    }
+
+    // Runs of spaces collapse; indentation only matters for nested lists
+    const cleaned = line.replace(/(\S)[ \t]+/g, '$1 ').replace(/\s+$/, '');
+    lines.push(/^\s+([-*+]|\d+\.)\s/.test(cleaned) ? cleaned : cleaned.trimStart());
+  }
+
+  return lines
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  cleanText,
+  findRepeatedLines,
+  isBoilerplateLine,
+  normalizeCharacters,
+  BOILERPLATE_PATTERNS
+};
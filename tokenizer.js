@@ -0,0 +1,65 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Token counting with the BPE encoding the chat and embedding models use, so chunk sizes and
+// prompt budgets are measured the way the model measures them.
+// TOKENIZER_ENCODING picks the encoding (cl100k_base for GPT-3.5/4 and text-embedding-3,
+// o200k_base for GPT-4o).
+
+const ENCODINGS = ['cl100k_base', 'o200k_base', 'p50k_base', 'r50k_base', 'gpt2'];
+
+let encoder = null;
+
+function getEncodingName() {
+  return process.env.TOKENIZER_ENCODING || 'cl100k_base';
+}
+
+// Loaded on first use; the rank table takes a few hundred milliseconds to build
+function getEncoder() {
+  if (!encoder) {
+    const name = getEncodingName();
+    if (!ENCODINGS.includes(name)) {
+      throw new Error(`Unknown tokenizer encoding: ${name} (expected one of ${ENCODINGS.join(', ')})`);
+    }
+    encoder = new Tiktoken(require(`js-tiktoken/ranks/${name}`));
+  }
+  return encoder;
+}
+
+function countTokens(text) {
+  return text ? getEncoder().encode(text).length : 0;
+}
+
+// Sentences (and lines) with their trailing whitespace, so joining them gives back the text.
+// A period only ends a sentence before whitespace, so "$0.01" and "v2.1" stay whole.
+function splitSentences(text) {
+  return (text.match(/[\s\S]*?(?:[.!?]+["')\]]*(?:\s+|$)|\n+|$)/g) || []).filter(Boolean);
+}
+
+// The longest run of whole sentences that fits in maxTokens, or of whole words when even the
+// first sentence doesn't fit
+function truncateToTokens(text, maxTokens) {
+  if (countTokens(text) <= maxTokens) {
+    return text;
+  }
+
+  for (const units of [splitSentences(text), text.split(/(?<=\s)/)]) {
+    let result = '';
+    for (const unit of units) {
+      if (countTokens(result + unit) > maxTokens) {
+        break;
+      }
+      result += unit;
+    }
+    if (result.trim()) {
+      return result.trim();
+    }
+  }
+  return '';
+}
+
+module.exports = {
+  getEncodingName,
+  countTokens,
+  splitSentences,
+  truncateToTokens
+};
@@ -0,0 +1,54 @@
+// URL canonicalization, so ?ref=, #anchor, trailing-slash and http/https variants of a page
+// are crawled and stored once
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = [/^utm_/i, /^ref$/i, /^ref_src$/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^msclkid$/i, /^mc_cid$/i, /^mc_eid$/i, /^_ga$/i, /^igshid$/i];
+
+// Returns null for URLs that can't be parsed or aren't http(s).
+// options.base resolves relative links; its protocol is also used for links to the same host,
+// so http:// and https:// links to a site collapse into one URL.
+function canonicalizeUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = options.base ? new URL(url, options.base) : new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  if (options.base) {
+    const base = new URL(options.base);
+    if (base.hostname === parsed.hostname) {
+      parsed.protocol = base.protocol;
+    }
+  }
+
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  // Setting the protocol may leave the old default port behind
+  if ((parsed.protocol === 'https:' && parsed.port === '443') || (parsed.protocol === 'http:' && parsed.port === '80')) {
+    parsed.port = '';
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  parsed.pathname = parsed.pathname
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/index\.html?$/i, '/')
+    .replace(/(.)\/$/, '$1');
+
+  return parsed.href;
+}
+
+module.exports = {
+  canonicalizeUrl,
+  TRACKING_PARAMS
+};
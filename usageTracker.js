@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+// USD per 1M tokens. Models are matched by prefix, longest first, so dated
+// variants like gpt-3.5-turbo-0125 use their family's price.
+const MODEL_PRICING = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+function getModelPricing(model) {
+  const match = Object.keys(MODEL_PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find(prefix => (model || '').startsWith(prefix));
+  // Self-hosted and mock models cost nothing per token
+  return match ? MODEL_PRICING[match] : { input: 0, output: 0 };
+}
+
+function estimateCost(model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(model);
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addTo(totals, usage) {
+  totals.requests += 1;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.cost += usage.cost;
+}
+
+// Records token usage per day, chat, user and model in data/usage.json, and enforces daily budgets.
+// Days older than the retention window (USAGE_RETENTION_DAYS, default 30) are pruned.
+// Emits 'budget' events ({ scope, id, spent, limit, level: 'warning' | 'exhausted' }) once per day
+// per scope when spending crosses the warning threshold or the limit.
+class UsageTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.usageFile = options.usageFile || path.join(__dirname, 'data', 'usage.json');
+    this.budgets = {
+      global: options.dailyBudget !== undefined ? options.dailyBudget : parseFloat(process.env.DAILY_BUDGET_USD) || 0,
+      chat: options.chatDailyBudget !== undefined ? options.chatDailyBudget : parseFloat(process.env.CHAT_DAILY_BUDGET_USD) || 0,
+      user: options.userDailyBudget !== undefined ? options.userDailyBudget : parseFloat(process.env.USER_DAILY_BUDGET_USD) || 0
+    };
+    this.warningRatio = options.warningRatio || 0.8;
+    this.retentionDays = options.retentionDays || parseInt(process.env.USAGE_RETENTION_DAYS) || 30;
+    this.data = null;
+    this.saving = Promise.resolve();
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+    try {
+      this.data = JSON.parse(await fs.readFile(this.usageFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading usage data:', error.message);
+      }
+      this.data = { days: {} };
+    }
+    return this.data;
+  }
+
+  save() {
+    // Writes are chained so concurrent records never interleave
+    this.saving = this.saving
+      .then(() => fs.writeFile(this.usageFile, JSON.stringify(this.data, null, 2)))
+      .catch(error => console.error('Error saving usage data:', error.message));
+    return this.saving;
+  }
+
+  getDay(day = this.today()) {
+    if (!this.data.days[day]) {
+      this.data.days[day] = { total: emptyTotals(), chats: {}, users: {}, models: {}, alerts: [] };
+      // A new day starts, so the oldest one may have left the window
+      this.prune();
+    }
+    return this.data.days[day];
+  }
+
+  // Drops days before the retention window, counting today as its last day
+  prune() {
+    const cutoff = new Date(`${this.today()}T00:00:00Z`);
+    cutoff.setUTCDate(cutoff.getUTCDate() - this.retentionDays + 1);
+    const oldestKept = cutoff.toISOString().slice(0, 10);
+
+    for (const day of Object.keys(this.data.days)) {
+      if (day < oldestKept) {
+        delete this.data.days[day];
+      }
+    }
+  }
+
+  // usage is the OpenAI-style usage object; context holds the chatId/userId that caused it
+  async record(model, usage, context = {}) {
+    if (!usage) {
+      return null;
+    }
+    await this.load();
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const entry = {
+      promptTokens,
+      completionTokens,
+      cost: estimateCost(model, promptTokens, completionTokens)
+    };
+
+    const day = this.getDay();
+    addTo(day.total, entry);
+
+    const buckets = [[day.models, model || 'unknown']];
+    if (context.chatId !== undefined) {
+      buckets.push([day.chats, String(context.chatId)]);
+    }
+    if (context.userId !== undefined) {
+      buckets.push([day.users, String(context.userId)]);
+    }
+    for (const [bucket, key] of buckets) {
+      bucket[key] = bucket[key] || emptyTotals();
+      addTo(bucket[key], entry);
+    }
+
+    this.checkAlerts(day, context);
+    await this.save();
+
+    return entry;
+  }
+
+  spentToday(scope, id) {
+    const day = this.getDay();
+    if (scope === 'global') {
+      return day.total.cost;
+    }
+    const bucket = scope === 'chat' ? day.chats : day.users;
+    return bucket[String(id)]?.cost || 0;
+  }
+
+  scopesFor(context) {
+    const scopes = [['global', null]];
+    if (context.chatId !== undefined) {
+      scopes.push(['chat', context.chatId]);
+    }
+    if (context.userId !== undefined) {
+      scopes.push(['user', context.userId]);
+    }
+    // A budget of 0 means unlimited
+    return scopes.filter(([scope]) => this.budgets[scope] > 0);
+  }
+
+  checkAlerts(day, context) {
+    for (const [scope, id] of this.scopesFor(context)) {
+      const spent = this.spentToday(scope, id);
+      const limit = this.budgets[scope];
+      const level = spent >= limit ? 'exhausted' : spent >= limit * this.warningRatio ? 'warning' : null;
+      const alertKey = `${scope}:${id}:${level}`;
+
+      if (level && !day.alerts.includes(alertKey)) {
+        day.alerts.push(alertKey);
+        this.emit('budget', { scope, id, spent, limit, level });
+      }
+    }
+  }
+
+  // Returns the first exhausted budget for this chat/user, if any
+  async checkBudget(context = {}) {
+    await this.load();
+
+    for (const [scope, id] of this.scopesFor(context)) {
+      const spent = this.spentToday(scope, id);
+      if (spent >= this.budgets[scope]) {
+        return { exhausted: true, scope, id, spent, limit: this.budgets[scope] };
+      }
+    }
+
+    return { exhausted: false };
+  }
+
+  async getSummary(day = this.today()) {
+    await this.load();
+    return this.data.days[day] || { total: emptyTotals(), chats: {}, users: {}, models: {}, alerts: [] };
+  }
+}
+
+module.exports = UsageTracker;
+module.exports.MODEL_PRICING = MODEL_PRICING;
+module.exports.estimateCost = estimateCost;